@@ -0,0 +1,102 @@
+// Groups data/reviews_deduped.json into per-session aggregates.
+//
+//   node scripts/aggregate-reviews.mjs [--publish]
+//
+// Writes data/sessions_aggregated.json, data/sessions_aggregated.csv and
+// data/reviews_by_session.csv. --publish also copies them to public/data/.
+
+import { withPresenter } from "../src/lib/presenters.js";
+import { groupReviewsBySession, reviewDateValue } from "../src/lib/reviews.js";
+import { dataPath, publish, readJson, relative, writeCsv, writeJson } from "./lib/files.mjs";
+
+const OUTPUTS = ["sessions_aggregated.json", "sessions_aggregated.csv", "reviews_by_session.csv"];
+
+function aggregateSessions(reviews) {
+  return [...groupReviewsBySession(reviews).entries()].map(([sessionId, sorted]) => {
+    const ratings = sorted.map((r) => r.rating).filter(Number.isFinite);
+    const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    for (const rating of ratings) {
+      const stars = Math.round(rating);
+      if (stars in breakdown) breakdown[stars] += 1;
+    }
+    const dates = sorted.map((r) => r.review_date).filter(Boolean).sort();
+    return {
+      ...withPresenter({
+        session_id: sessionId,
+        session_title: sorted.find((r) => r.session_title)?.session_title ?? null,
+      }),
+      n_reviews: sorted.length,
+      // Extra captures of the same reviews, folded away by the dedupe stage.
+      n_duplicates: sorted.reduce((sum, r) => sum + (r.duplicates?.length ?? 0), 0),
+      avg_rating: ratings.length
+        ? Math.round((ratings.reduce((sum, value) => sum + value, 0) / ratings.length) * 100) / 100
+        : null,
+      ratings_breakdown: breakdown,
+      first_review_date: dates[0] ?? null,
+      last_review_date: dates[dates.length - 1] ?? null,
+      reviews: sorted,
+    };
+  });
+}
+
+async function main() {
+  const shouldPublish = process.argv.includes("--publish");
+  const reviews = await readJson(dataPath("reviews_deduped.json"));
+  const sessions = aggregateSessions(reviews);
+
+  await writeJson(dataPath("sessions_aggregated.json"), sessions);
+  await writeCsv(
+    dataPath("sessions_aggregated.csv"),
+    [
+      "session_id",
+      "session_title",
+      "presenter",
+      "presenter_role",
+      "n_reviews",
+      "n_duplicates",
+      "avg_rating",
+      "ratings_1",
+      "ratings_2",
+      "ratings_3",
+      "ratings_4",
+      "ratings_5",
+      "first_review_date",
+      "last_review_date",
+    ],
+    sessions.map((s) => ({
+      ...s,
+      ...Object.fromEntries(Object.entries(s.ratings_breakdown).map(([stars, count]) => [`ratings_${stars}`, count])),
+    }))
+  );
+
+  const bySession = sessions
+    .flatMap((s) => s.reviews)
+    .sort((a, b) => a.session_id.localeCompare(b.session_id) || reviewDateValue(b) - reviewDateValue(a));
+  await writeCsv(
+    dataPath("reviews_by_session.csv"),
+    [
+      "session_id",
+      "session_title",
+      "review_id",
+      "rating",
+      "review_text",
+      "review_date",
+      "review_date_precision",
+      "reviewer",
+      "source_url",
+    ],
+    bySession
+  );
+
+  console.log(`Aggregated ${reviews.length} reviews into ${sessions.length} sessions`);
+  for (const name of OUTPUTS) console.log(`  → ${relative(dataPath(name))}`);
+  if (shouldPublish) {
+    await publish(OUTPUTS);
+    console.log("Published to public/data/");
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
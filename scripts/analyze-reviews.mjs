@@ -0,0 +1,201 @@
+// Enriches every review with language, sentiment, themes, pain points and feature
+// requests, then scores and ranks sessions for the dashboard.
+//
+//   node scripts/analyze-reviews.mjs [--publish]
+//
+// Reads data/reviews_deduped.json and writes data/reviews_enriched.json,
+// data/sessions_analysis.json and data/sessions_ranked.csv. --publish also copies
+// them to public/data/ where the dashboard fetches them.
+
+import vader from "vader-sentiment";
+import {
+  compareSessionPriority,
+  corpusPrior,
+  DEFAULT_RULES,
+  labelSentiment,
+  summarizeSession,
+  THEMES,
+} from "../src/lib/scoring.js";
+import { withPresenter } from "../src/lib/presenters.js";
+import { groupReviewsBySession } from "../src/lib/reviews.js";
+import { dataPath, publish, readJson, relative, writeCsv, writeJson } from "./lib/files.mjs";
+import { detectLanguage, UNDETERMINED_LANGUAGE } from "./lib/language.mjs";
+
+const OUTPUTS = ["reviews_enriched.json", "sessions_analysis.json", "sessions_ranked.csv"];
+
+// VADER only knows English. Reviews in any other language keep themes and clue-based
+// pain points but get sentiment_label "unscored" instead of a misleading score.
+const SCORED_LANGUAGES = new Set(["en"]);
+
+// Lexemes ending in "*" match as prefixes (a cheap stand-in for stemming);
+// everything else must match a whole token.
+const THEME_LEX = {
+  content: [
+    "content", "exercise*", "question*", "clear", "clarity", "depth", "deep", "pace", "paced", "structure*",
+    "topic*", "information", "idea*", "example*", "lesson*", "brainstorm*", "relatable", "exerciți*", "întreb*",
+    "contenido", "ejercicio*", "pregunta*", "reflexi*",
+  ],
+  presenter: [
+    "presenter*", "present", "psycholog*", "coach*", "therapist*", "voice", "speaker*", "narrat*", "tone",
+    "explain*", "guidance", "psiholog*", "psicólog*",
+  ],
+  utility: [
+    "help*", "useful", "insight*", "learn*", "practical", "tool*", "apply", "applicable", "course", "util*",
+    "ajut*", "folositor*", "útil", "ayud*", "aprend*",
+  ],
+  technical: [
+    "app", "apps", "application*", "bug*", "crash*", "audio", "sound", "loading", "login", "error*", "glitch*",
+    "freez*", "notification*", "button*", "screen*", "slow", "aplicați*", "aplicatia", "aplicación",
+  ],
+};
+
+// Keyed by language so that Spanish "no" or Romanian "nu" only count in their own language.
+const NEG_CLUES = {
+  en: [
+    "not", "*n't", "*n’t", "hard", "confus*", "difficult*", "struggl*", "afraid", "sad", "boring", "frustrat*",
+    "disappoint*", "annoy*",
+  ],
+  ro: ["nu", "greu", "dificil*", "plictis*", "eșec", "trist*"],
+  es: ["no", "ni", "difícil*", "aburr*", "triste*", "problema*"],
+  pt: ["não", "difícil*", "triste*", "chato"],
+};
+
+const FEATURE_TRIGGERS = [
+  /\bi wish (?:there|it|you|the app)\b/i,
+  /\bwould (?:be )?(?:nice|great|helpful|better) if\b/i,
+  /\bplease (?:add|include|make)\b/i,
+  /\b(?:could|can) you (?:add|include|make)\b/i,
+  /\b(?:add|include) (?:an? )?(?:option|feature|setting|way)\b/i,
+  /\bfeature request\b/i,
+  /\bsuggest(?:ion)?\b/i,
+  /\baș vrea\b/i,
+  /\bar fi (?:bine|util)\b/i,
+];
+
+const NEG_CLUE_PENALTY = 0.05;
+const PAIN_SENTENCE_THRESHOLD = -0.05;
+const MAX_PAIN_POINTS = 3;
+const MAX_FEATURE_REQUESTS = 2;
+
+const tokenize = (text) => text.toLowerCase().match(/[\p{L}\p{N}'’]+/gu) || [];
+
+function matchesLexeme(token, lexeme) {
+  if (lexeme.startsWith("*")) return token.endsWith(lexeme.slice(1));
+  if (lexeme.endsWith("*")) return token.startsWith(lexeme.slice(0, -1));
+  return token === lexeme;
+}
+
+const hasLexeme = (tokens, lexicon) => tokens.some((token) => lexicon.some((lexeme) => matchesLexeme(token, lexeme)));
+
+const splitSentences = (text) =>
+  text
+    .replace(/\s+/g, " ")
+    .split(/(?<=[.!?])\s+/)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+
+const vaderScores = (text) => vader.SentimentIntensityAnalyzer.polarity_scores(text);
+const polarity = (text) => vaderScores(text).compound;
+
+function resolveLanguage(text) {
+  const detected = detectLanguage(text);
+  if (detected !== UNDETERMINED_LANGUAGE) return detected;
+  // Accented text with no stopwords ("Great café"): if VADER recognizes any of the
+  // words, it is English.
+  return text.trim() && vaderScores(text).neu < 1 ? "en" : UNDETERMINED_LANGUAGE;
+}
+
+function scoreSentiment(text, tokens, negClues) {
+  const penalty = hasLexeme(tokens, negClues) ? NEG_CLUE_PENALTY : 0;
+  const sentiment = Math.max(-1, Math.min(1, polarity(text) - penalty));
+  return Math.round(sentiment * 10000) / 10000;
+}
+
+function enrichReview(review) {
+  const text = review.review_text || "";
+  const tokens = tokenize(text);
+  const language = resolveLanguage(text);
+  const scored = SCORED_LANGUAGES.has(language);
+  const negClues = NEG_CLUES[language] ?? [];
+  const sentiment = scored ? scoreSentiment(text, tokens, negClues) : null;
+  const themes = THEMES.filter((theme) => hasLexeme(tokens, THEME_LEX[theme]));
+  const sentences = splitSentences(text);
+  const isPainSentence = (sentence) =>
+    (scored && polarity(sentence) <= PAIN_SENTENCE_THRESHOLD) || hasLexeme(tokenize(sentence), negClues);
+
+  return {
+    ...review,
+    language,
+    sentiment,
+    sentiment_label: labelSentiment(sentiment),
+    themes,
+    primary_theme: themes[0] ?? null,
+    pain_points: sentences.filter(isPainSentence).slice(0, MAX_PAIN_POINTS),
+    feature_requests: sentences
+      .filter((s) => FEATURE_TRIGGERS.some((trigger) => trigger.test(s)))
+      .slice(0, MAX_FEATURE_REQUESTS),
+  };
+}
+
+async function main() {
+  const shouldPublish = process.argv.includes("--publish");
+  const reviews = await readJson(dataPath("reviews_deduped.json"));
+  const enriched = reviews.map(enrichReview);
+
+  const groups = [...groupReviewsBySession(enriched).entries()];
+  const context = { maxReviews: Math.max(0, ...groups.map(([, list]) => list.length)), prior: corpusPrior(enriched) };
+  const sessions = groups
+    .map(([sessionId, list]) =>
+      summarizeSession(
+        withPresenter({ session_id: sessionId, session_title: list[0].session_title }),
+        list,
+        DEFAULT_RULES,
+        context
+      )
+    )
+    .sort(compareSessionPriority);
+
+  await writeJson(dataPath("reviews_enriched.json"), enriched);
+  await writeJson(dataPath("sessions_analysis.json"), sessions);
+  await writeCsv(
+    dataPath("sessions_ranked.csv"),
+    [
+      "session_id",
+      "session_title",
+      "presenter",
+      "presenter_role",
+      "n_reviews",
+      "n_scored",
+      "avg_sentiment",
+      "pct_negative",
+      "avg_rating",
+      "avg_rating_adjusted",
+      "avg_rating_low",
+      "avg_rating_high",
+      "pct_negative_adjusted",
+      "pct_negative_low",
+      "pct_negative_high",
+      "low_confidence",
+      ...THEMES.map((theme) => `themes.${theme}`),
+      "attention_score",
+      "status",
+    ],
+    sessions.map((s) => ({
+      ...s,
+      ...Object.fromEntries(THEMES.map((theme) => [`themes.${theme}`, s.themes[theme]])),
+    }))
+  );
+
+  const byStatus = sessions.reduce((acc, s) => ({ ...acc, [s.status]: (acc[s.status] || 0) + 1 }), {});
+  console.log(`Analyzed ${enriched.length} reviews across ${sessions.length} sessions`, byStatus);
+  for (const name of OUTPUTS) console.log(`  → ${relative(dataPath(name))}`);
+  if (shouldPublish) {
+    await publish(OUTPUTS);
+    console.log("Published to public/data/");
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,103 @@
+// Folds reviews the scraper captured more than once into a single record, and checks that
+// every review's source_url points back at its own journey page.
+//
+//   node scripts/dedupe-reviews.mjs [--threshold=0.8] [--publish]
+//
+// Matching is per session: identical text after normalizing case, accents and punctuation,
+// or word-pair similarity at or above --threshold, or one capture being a truncated copy
+// of another (see src/lib/dedup.js). Reads data/reviews_clean.json, which it leaves alone,
+// and writes data/reviews_deduped.json and .csv with the extra captures tucked under the
+// canonical review's `duplicates`, so n_reviews and theme counts downstream only see each
+// review once. Re-running with another --threshold starts from the unfolded captures again.
+// data/dedup_report.json and data/dedup_report.csv keep the merge map (which capture was
+// folded into which, how it matched) and every provenance problem for audit.
+
+import { DUPLICATE_THRESHOLD, foldDuplicates } from "../src/lib/dedup.js";
+import { DEDUPED_OUTPUTS, writeReviews } from "./lib/clean-reviews.mjs";
+import { dataPath, publish, readJson, relative, writeCsv, writeJson } from "./lib/files.mjs";
+
+const REPORT_OUTPUTS = ["dedup_report.json", "dedup_report.csv"];
+
+function resolveThreshold() {
+  const flag = process.argv.find((arg) => arg.startsWith("--threshold="));
+  if (!flag) return DUPLICATE_THRESHOLD;
+  const value = Number(flag.slice("--threshold=".length));
+  if (!(value > 0 && value <= 1)) throw new Error(`Invalid threshold "${flag}" (expected a number in (0, 1])`);
+  return value;
+}
+
+// Reviews are scraped from https://selftalk.space/journey/<session_id>.
+function checkProvenance(review) {
+  if (!review.source_url) return "missing source_url";
+  let url;
+  try {
+    url = new URL(review.source_url);
+  } catch {
+    return "source_url is not a valid URL";
+  }
+  if (!/^https?:$/.test(url.protocol)) return "source_url is not an http(s) link";
+  const slug = decodeURIComponent(url.pathname).split("/").filter(Boolean).pop();
+  if (slug !== review.session_id) return `source_url points at "${slug ?? "/"}", not this session`;
+  return null;
+}
+
+async function main() {
+  const shouldPublish = process.argv.includes("--publish");
+  const threshold = resolveThreshold();
+  const reviews = await readJson(dataPath("reviews_clean.json"));
+  const { reviews: deduped, folded } = foldDuplicates(reviews, { threshold });
+
+  const clusters = deduped
+    .filter((review) => review.duplicates?.length)
+    .map((review) => ({
+      session_id: review.session_id,
+      review_id: review.review_id,
+      reviewer: review.reviewer ?? null,
+      source_url: review.source_url ?? null,
+      review_text: review.review_text,
+      duplicates: review.duplicates,
+    }));
+  const provenance = deduped
+    .flatMap((review) => [review, ...(review.duplicates || []).map((duplicate) => ({ ...duplicate, session_id: review.session_id }))])
+    .map((review) => ({ review, problem: checkProvenance(review) }))
+    .filter(({ problem }) => problem)
+    .map(({ review, problem }) => ({
+      session_id: review.session_id,
+      review_id: review.review_id,
+      source_url: review.source_url ?? null,
+      problem,
+    }));
+
+  const captured = clusters.reduce((sum, cluster) => sum + cluster.duplicates.length, 0);
+  await writeReviews(DEDUPED_OUTPUTS, deduped);
+  await writeJson(dataPath("dedup_report.json"), {
+    threshold,
+    n_captures: deduped.length + captured,
+    n_reviews: deduped.length,
+    clusters,
+    provenance,
+  });
+  await writeCsv(
+    dataPath("dedup_report.csv"),
+    ["session_id", "canonical_id", "review_id", "match", "similarity", "reviewer", "source_url", "review_text"],
+    clusters.flatMap((cluster) =>
+      cluster.duplicates.map((duplicate) => ({ ...duplicate, session_id: cluster.session_id, canonical_id: cluster.review_id }))
+    )
+  );
+
+  console.log(
+    `Deduplicated ${deduped.length + captured} captures into ${deduped.length} reviews ` +
+      `(${clusters.length} clusters, ${folded} folded this run, threshold ${threshold})`
+  );
+  if (provenance.length) console.warn(`${provenance.length} reviews have source_url problems; see dedup_report.json`);
+  for (const name of [...DEDUPED_OUTPUTS, ...REPORT_OUTPUTS]) console.log(`  → ${relative(dataPath(name))}`);
+  if (shouldPublish) {
+    await publish([...DEDUPED_OUTPUTS, ...REPORT_OUTPUTS]);
+    console.log("Published to public/data/");
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,33 @@
+import { dataPath, writeCsv, writeJson } from "./files.mjs";
+
+// Normalized reviews, and the same reviews with duplicate captures folded.
+export const CLEAN_OUTPUTS = ["reviews_clean.json", "reviews_clean.csv"];
+export const DEDUPED_OUTPUTS = ["reviews_deduped.json", "reviews_deduped.csv"];
+
+const COLUMNS = [
+  "review_id",
+  "session_id",
+  "session_title",
+  "rating",
+  "review_text",
+  "review_date",
+  "review_date_precision",
+  "review_age",
+  "reviewer",
+  "source_url",
+  "scraped_at",
+  "duplicate_ids",
+];
+
+/** Writes reviews to one of the output pairs above; folded duplicates become `duplicate_ids`. */
+export async function writeReviews([jsonName, csvName], reviews) {
+  await writeJson(dataPath(jsonName), reviews);
+  await writeCsv(
+    dataPath(csvName),
+    COLUMNS,
+    reviews.map((review) => ({
+      ...review,
+      duplicate_ids: review.duplicates?.length ? review.duplicates.map((duplicate) => duplicate.review_id).join(" | ") : null,
+    }))
+  );
+}
@@ -0,0 +1,42 @@
+import { copyFile, mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+export const DATA_DIR = path.join(ROOT_DIR, "data");
+export const PUBLIC_DATA_DIR = path.join(ROOT_DIR, "public", "data");
+
+export const dataPath = (name) => path.join(DATA_DIR, name);
+
+export async function readJson(file) {
+  return JSON.parse(await readFile(file, "utf8"));
+}
+
+export async function writeJson(file, value) {
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, JSON.stringify(value, null, 2));
+}
+
+// Matches the quoting of the committed CSVs: strings quoted, numbers bare, nulls empty.
+function csvCell(value) {
+  if (value == null) return "";
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+export async function writeCsv(file, columns, rows) {
+  const lines = [columns.map(csvCell).join(",")];
+  for (const row of rows) lines.push(columns.map((column) => csvCell(row[column])).join(","));
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, lines.join("\n"));
+}
+
+/** Copies finished datasets from data/ to public/data/ so the dashboard serves them. */
+export async function publish(names) {
+  await mkdir(PUBLIC_DATA_DIR, { recursive: true });
+  for (const name of names) {
+    await copyFile(dataPath(name), path.join(PUBLIC_DATA_DIR, name));
+  }
+}
+
+export const relative = (file) => path.relative(ROOT_DIR, file);
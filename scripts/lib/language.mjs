@@ -0,0 +1,72 @@
+// Stopword-based language guess for review text. Reviews are short and the corpus only
+// covers a handful of languages, so counting function words beats a general-purpose
+// detector, which tends to call two-word English reviews French or Tagalog.
+
+// Function words only (articles, pronouns, prepositions, conjunctions, common auxiliaries),
+// taken from the usual stopword lists rather than from the reviews, so a detection never
+// hinges on the topic of a session.
+const STOPWORDS = {
+  en: [
+    "the", "a", "an", "and", "or", "but", "if", "because", "so", "than", "i", "i'm", "i’m", "me", "my", "myself", "we",
+    "our", "you", "your", "he", "him", "his", "she", "her", "it", "it's", "it’s", "its", "they", "them", "their",
+    "this", "that", "these", "those", "what", "which", "who", "how", "when", "where", "to", "of", "in", "on", "at",
+    "by", "for", "with", "about", "from", "into", "is", "was", "are", "were", "be", "been", "am", "have", "has", "had",
+    "do", "does", "did", "not", "can", "will", "would", "should", "could", "very", "all", "some", "more",
+  ],
+  ro: [
+    "și", "si", "sau", "dar", "că", "ca", "să", "sa", "nu", "în", "in", "la", "pe", "cu", "de", "din", "pentru",
+    "despre", "fără", "prin", "un", "o", "unei", "unui", "eu", "tu", "el", "ea", "noi", "voi", "ei", "ele", "mi",
+    "îmi", "imi", "ne", "le", "se", "meu", "mea", "mei", "acest", "această", "acesta", "aceasta", "care", "ce", "cum",
+    "cât", "este", "e", "sunt", "am", "ai", "au", "fost", "fi", "mai", "foarte",
+  ],
+  es: [
+    "el", "la", "los", "las", "un", "una", "unos", "unas", "y", "o", "pero", "que", "de", "del", "al", "en", "con",
+    "por", "para", "sin", "sobre", "entre", "hasta", "yo", "me", "mi", "mis", "tú", "te", "tu", "su", "sus", "nos",
+    "se", "lo", "le", "les", "ese", "esa", "esos", "esas", "este", "esta", "estos", "estas", "como", "cuando", "muy",
+    "no", "ni", "es", "son", "era", "fue", "ha", "he", "hay", "está",
+  ],
+  pt: [
+    "o", "a", "os", "as", "um", "uma", "uns", "umas", "e", "ou", "mas", "que", "de", "do", "da", "dos", "das", "em",
+    "no", "na", "nos", "nas", "ao", "com", "por", "para", "pelo", "pela", "sem", "eu", "me", "meu", "minha", "você",
+    "ele", "ela", "nós", "eles", "elas", "isso", "esse", "essa", "este", "esta", "como", "quando", "muito", "mais",
+    "também", "não", "é", "são", "foi", "está", "tem",
+  ],
+};
+
+// Letters that only show up in one of the supported languages.
+const SCRIPT_HINTS = [
+  { language: "ro", pattern: /[ăâîșşțţ]/giu },
+  { language: "es", pattern: /[ñ¿¡]/giu },
+  { language: "pt", pattern: /[ãõ]/giu },
+];
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+export const UNDETERMINED_LANGUAGE = "und";
+
+/**
+ * ISO 639-1 code of the most likely language. Text that points nowhere else and only uses
+ * unaccented letters ("Keep practicing") is English, the language of most reviews; "und"
+ * is left for accented text without a clear winner.
+ */
+export function detectLanguage(text) {
+  if (!text?.trim()) return UNDETERMINED_LANGUAGE;
+  if (/\p{Script=Cyrillic}/u.test(text)) return "ru";
+  const tokens = text.toLowerCase().match(/[\p{L}'’]+/gu) || [];
+  const scores = Object.fromEntries(Object.keys(STOPWORDS).map((language) => [language, 0]));
+  for (const token of tokens) {
+    for (const [language, words] of Object.entries(STOPWORD_SETS)) {
+      if (words.has(token)) scores[language] += 1;
+    }
+  }
+  for (const { language, pattern } of SCRIPT_HINTS) {
+    scores[language] += (text.match(pattern) || []).length;
+  }
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [[best, top], [, runnerUp]] = ranked;
+  if (top > 0 && top > runnerUp) return best;
+  const plainLatin = tokens.length > 0 && tokens.every((token) => /^[a-z'’]+$/.test(token));
+  return plainLatin && scores.en === top ? "en" : UNDETERMINED_LANGUAGE;
+}
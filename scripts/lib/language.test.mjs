@@ -0,0 +1,30 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { detectLanguage, UNDETERMINED_LANGUAGE } from "./language.mjs";
+
+test("detects English from its function words", () => {
+  assert.equal(detectLanguage("I loved the way she explained it to us"), "en");
+});
+
+test("counts short unaccented text with no other signal as English", () => {
+  for (const text of ["Keep practicing", "Great one!", "Helpful! Good insights! Well paced!"]) {
+    assert.equal(detectLanguage(text), "en", text);
+  }
+});
+
+test("detects Romanian, Spanish and Portuguese from function words and letters", () => {
+  assert.equal(detectLanguage("Un lider nu le poate face pe toate și nu mereu"), "ro");
+  assert.equal(detectLanguage("Creo que debo dejar de luchar con gente que no quiere cambiar"), "es");
+  assert.equal(detectLanguage("Eu não sei se isso foi para mim"), "pt");
+  assert.equal(detectLanguage("Mañana"), "es");
+});
+
+test("detects Cyrillic text as Russian", () => {
+  assert.equal(detectLanguage("Очень полезно"), "ru");
+});
+
+test("leaves accented text without a clear winner and blank text undetermined", () => {
+  assert.equal(detectLanguage("Reflexión"), UNDETERMINED_LANGUAGE);
+  assert.equal(detectLanguage("  "), UNDETERMINED_LANGUAGE);
+  assert.equal(detectLanguage(null), UNDETERMINED_LANGUAGE);
+});
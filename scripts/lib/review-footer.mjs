@@ -0,0 +1,56 @@
+// The widget footer the scraper captures with each review ("(5)Tina A.8 months ago"):
+// parsing it, and moving it out of review_text into rating, reviewer and review_date.
+
+import { format, sub } from "date-fns";
+
+const FOOTER_PATTERN =
+  /\s*\((\d)\)\s*(.*?\S)?\s*(?<![\p{L}\d])(an?|\d+)\s+(second|minute|hour|day|week|month|year)s?\s+ago\s*$/u;
+
+// How precisely "N <unit> ago" pins down the day the review was written.
+const UNIT_PRECISION = {
+  second: "day",
+  minute: "day",
+  hour: "day",
+  day: "day",
+  week: "week",
+  month: "month",
+  year: "year",
+};
+
+/** `{ text, rating, reviewer, age: { count, unit }, label }` for text ending in a footer, else null. */
+export function parseReviewFooter(text) {
+  const match = text?.match(FOOTER_PATTERN);
+  if (!match) return null;
+  const [, stars, name, amount, unit] = match;
+  const count = /^an?$/.test(amount) ? 1 : Number(amount);
+  return {
+    text: text.slice(0, match.index).trim(),
+    rating: Number(stars),
+    reviewer: name?.trim() || null,
+    age: { count, unit },
+    label: `${amount} ${unit}${count === 1 ? "" : "s"} ago`,
+  };
+}
+
+function resolveReviewDate(age, scrapedAt) {
+  return format(sub(scrapedAt, { [`${age.unit}s`]: age.count }), "yyyy-MM-dd");
+}
+
+/** The review with its footer moved into fields; reviews without one only get `scraped_at`. */
+export function normalizeReview(review, scrapedAt) {
+  const footer = parseReviewFooter(review.review_text);
+  if (!footer) return { ...review, scraped_at: review.scraped_at ?? format(scrapedAt, "yyyy-MM-dd") };
+  return {
+    review_id: review.review_id,
+    session_id: review.session_id,
+    session_title: review.session_title,
+    rating: review.rating ?? footer.rating,
+    review_text: footer.text,
+    review_date: resolveReviewDate(footer.age, scrapedAt),
+    review_date_precision: UNIT_PRECISION[footer.age.unit],
+    review_age: footer.label,
+    reviewer: review.reviewer || footer.reviewer,
+    source_url: review.source_url,
+    scraped_at: format(scrapedAt, "yyyy-MM-dd"),
+  };
+}
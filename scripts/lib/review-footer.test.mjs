@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { normalizeReview, parseReviewFooter } from "./review-footer.mjs";
+
+const SCRAPED_AT = new Date(2025, 10, 10);
+
+test("splits the footer into text, rating, reviewer and age", () => {
+  assert.deepEqual(parseReviewFooter("Well paced!     (5)Samantha S.6 months ago"), {
+    text: "Well paced!",
+    rating: 5,
+    reviewer: "Samantha S.",
+    age: { count: 6, unit: "month" },
+    label: "6 months ago",
+  });
+});
+
+test("reads 'a'/'an' as one and tolerates a missing reviewer name", () => {
+  const footer = parseReviewFooter("Thank you(4)an hour ago");
+  assert.equal(footer.text, "Thank you");
+  assert.equal(footer.reviewer, null);
+  assert.deepEqual(footer.age, { count: 1, unit: "hour" });
+  assert.equal(footer.label, "an hour ago");
+  assert.equal(parseReviewFooter("Helpful     (4)Olga T.a year ago").reviewer, "Olga T.");
+});
+
+test("does not take a digit at the end of the name for the age", () => {
+  assert.equal(parseReviewFooter("Nice (3)Ana2 2 weeks ago").reviewer, "Ana2");
+});
+
+test("leaves text without a footer alone", () => {
+  assert.equal(parseReviewFooter("I give it (5) stars"), null);
+  assert.equal(parseReviewFooter(null), null);
+});
+
+test("dates the review back from the scrape date and records the precision", () => {
+  const review = normalizeReview(
+    { review_id: "r1", session_id: "s", rating: null, reviewer: null, review_text: "Good(5)Tina A.8 months ago" },
+    SCRAPED_AT
+  );
+  assert.equal(review.review_text, "Good");
+  assert.equal(review.rating, 5);
+  assert.equal(review.reviewer, "Tina A.");
+  assert.equal(review.review_date, "2025-03-10");
+  assert.equal(review.review_date_precision, "month");
+  assert.equal(review.review_age, "8 months ago");
+  assert.equal(review.scraped_at, "2025-11-10");
+});
+
+test("keeps a rating and reviewer the scraper already had", () => {
+  const review = normalizeReview({ rating: 4, reviewer: "Tina Alba", review_text: "Good(5)Tina A.2 days ago" }, SCRAPED_AT);
+  assert.equal(review.rating, 4);
+  assert.equal(review.reviewer, "Tina Alba");
+  assert.equal(review.review_date, "2025-11-08");
+  assert.equal(review.review_date_precision, "day");
+});
+
+test("only stamps the scrape date on reviews without a footer", () => {
+  const review = { review_id: "r1", review_text: "Already clean", review_date: "2025-01-01" };
+  assert.deepEqual(normalizeReview(review, SCRAPED_AT), { ...review, scraped_at: "2025-11-10" });
+});
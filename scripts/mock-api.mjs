@@ -0,0 +1,87 @@
+// Stand-in REST backend for trying the dashboard's "REST endpoint" data source and the
+// alert webhook.
+//
+//   node scripts/mock-api.mjs [--port=4010]
+//
+// GET /sessions serves data/sessions_analysis.json, GET /reviews serves
+// data/reviews_enriched.json. POST /alerts accepts the dashboard's alert feed (Alerts →
+// Send feed, or the exported JSON via `curl --data @alerts-feed.json`), logs each alert
+// and keeps the ones it has not seen yet in memory for GET /alerts. All routes allow
+// cross-origin requests from the Vite dev server.
+
+import { createServer } from "node:http";
+import { dataPath, readJson } from "./lib/files.mjs";
+
+const ROUTES = {
+  "/sessions": "sessions_analysis.json",
+  "/reviews": "reviews_enriched.json",
+};
+
+const portArg = process.argv.find((arg) => arg.startsWith("--port="));
+const port = Number(portArg?.slice("--port=".length)) || 4010;
+
+const received = new Map();
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+async function receiveAlerts(req) {
+  let feed;
+  try {
+    feed = JSON.parse(await readBody(req));
+  } catch (error) {
+    return [400, { error: `Body is not JSON: ${error.message}` }];
+  }
+  if (!Array.isArray(feed?.alerts) || feed.alerts.some((alert) => typeof alert?.id !== "string")) {
+    return [422, { error: 'Expected { "alerts": [{ "id", … }] }' }];
+  }
+  const fresh = feed.alerts.filter((alert) => !received.has(alert.id));
+  for (const alert of fresh) {
+    received.set(alert.id, alert);
+    const state = alert.acknowledged_at ? "acknowledged" : "open";
+    console.log(`[alert] ${alert.session_id} — ${alert.message} (${state})`);
+  }
+  return [202, { received: feed.alerts.length, new: fresh.length }];
+}
+
+const server = createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const headers = {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Content-Type": "application/json; charset=utf-8",
+  };
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, headers).end();
+    return;
+  }
+  if (pathname === "/alerts" && req.method === "POST") {
+    const [status, body] = await receiveAlerts(req);
+    res.writeHead(status, headers).end(JSON.stringify(body));
+    return;
+  }
+  if (pathname === "/alerts" && req.method === "GET") {
+    res.writeHead(200, headers).end(JSON.stringify({ alerts: [...received.values()] }));
+    return;
+  }
+  const file = ROUTES[pathname];
+  if (req.method !== "GET" || !file) {
+    res.writeHead(404, headers).end(JSON.stringify({ error: `No route for ${req.method} ${pathname}` }));
+    return;
+  }
+  try {
+    res.writeHead(200, headers).end(JSON.stringify(await readJson(dataPath(file))));
+  } catch (error) {
+    res.writeHead(500, headers).end(JSON.stringify({ error: error.message }));
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Mock API on http://localhost:${port}`);
+  for (const route of Object.keys(ROUTES)) console.log(`  GET ${route}`);
+  console.log("  POST /alerts, GET /alerts");
+});
@@ -0,0 +1,50 @@
+// Moves the widget footer the scraper captures with each review ("(5)Tina A.8 months ago")
+// out of review_text and into rating, reviewer and review_date.
+//
+//   node scripts/normalize-reviews.mjs [--scraped-at=YYYY-MM-DD] [--publish]
+//
+// Reads the scraper's data/reviews_raw.json, which it never modifies, and writes
+// data/reviews_clean.json and data/reviews_clean.csv, so the stage can be re-run after a
+// parsing fix. Relative ages are resolved against the scrape date: --scraped-at, else the
+// scraped_at the scraper recorded on the reviews. Without either the stage stops.
+
+import { format, isValid, parseISO } from "date-fns";
+import { CLEAN_OUTPUTS, writeReviews } from "./lib/clean-reviews.mjs";
+import { dataPath, publish, readJson, relative } from "./lib/files.mjs";
+import { normalizeReview } from "./lib/review-footer.mjs";
+
+const INPUT = "reviews_raw.json";
+
+function resolveScrapedAt(reviews) {
+  const flag = process.argv.find((arg) => arg.startsWith("--scraped-at="));
+  const value = flag ? flag.slice("--scraped-at=".length) : reviews.find((r) => r.scraped_at)?.scraped_at;
+  if (!value) {
+    throw new Error(`No scrape date: ${INPUT} records no scraped_at, so pass --scraped-at=YYYY-MM-DD`);
+  }
+  const parsed = parseISO(value);
+  if (!isValid(parsed)) throw new Error(`Invalid scrape date "${value}" (expected YYYY-MM-DD)`);
+  return parsed;
+}
+
+async function main() {
+  const shouldPublish = process.argv.includes("--publish");
+  const reviews = await readJson(dataPath(INPUT));
+  const scrapedAt = resolveScrapedAt(reviews);
+
+  const normalized = reviews.map((review) => normalizeReview(review, scrapedAt));
+  const changed = normalized.filter((review, index) => review.review_text !== reviews[index].review_text).length;
+
+  await writeReviews(CLEAN_OUTPUTS, normalized);
+
+  console.log(`Normalized ${changed} of ${reviews.length} reviews (scraped ${format(scrapedAt, "yyyy-MM-dd")})`);
+  for (const name of CLEAN_OUTPUTS) console.log(`  → ${relative(dataPath(name))}`);
+  if (shouldPublish) {
+    await publish(CLEAN_OUTPUTS);
+    console.log("Published to public/data/");
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,85 @@
+// Keeps a dated copy of sessions_analysis.json so the dashboard can compare scrapes.
+//
+//   node scripts/snapshot-sessions.mjs [--date=YYYY-MM-DD] [--force]
+//
+// Copies data/sessions_analysis.json to public/data/snapshots/<date>.json and records it in
+// public/data/snapshots/manifest.json. The date defaults to the scrape date recorded on the
+// reviews (scraped_at), falling back to today. A snapshot that already exists for that date is left
+// alone unless --force is passed.
+
+import { access } from "node:fs/promises";
+import path from "node:path";
+import { format } from "date-fns";
+import { dataPath, PUBLIC_DATA_DIR, readJson, relative, writeJson } from "./lib/files.mjs";
+
+const SNAPSHOT_DIR = path.join(PUBLIC_DATA_DIR, "snapshots");
+const MANIFEST = path.join(SNAPSHOT_DIR, "manifest.json");
+const isoDatePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+function resolveDate(sessions) {
+  const flag = process.argv.find((arg) => arg.startsWith("--date="));
+  if (flag) {
+    const value = flag.slice("--date=".length);
+    if (!isoDatePattern.test(value)) throw new Error(`Invalid snapshot date "${value}" (expected YYYY-MM-DD)`);
+    return value;
+  }
+  const scraped = sessions
+    .flatMap((session) => session.reviews || [])
+    .map((review) => review.scraped_at)
+    .filter(Boolean)
+    .sort();
+  return scraped[scraped.length - 1] ?? format(new Date(), "yyyy-MM-dd");
+}
+
+async function readManifest() {
+  try {
+    return await readJson(MANIFEST);
+  } catch (error) {
+    if (error.code === "ENOENT") return { snapshots: [] };
+    throw error;
+  }
+}
+
+async function exists(file) {
+  try {
+    await access(file);
+    return true;
+  } catch (error) {
+    if (error.code === "ENOENT") return false;
+    throw error;
+  }
+}
+
+async function main() {
+  const sessions = await readJson(dataPath("sessions_analysis.json"));
+  const date = resolveDate(sessions);
+  const file = `${date}.json`;
+  if (!process.argv.includes("--force") && (await exists(path.join(SNAPSHOT_DIR, file)))) {
+    throw new Error(
+      `A snapshot for ${date} already exists (${relative(path.join(SNAPSHOT_DIR, file))}); pass --force to replace it`
+    );
+  }
+  const entry = {
+    date,
+    file,
+    n_sessions: sessions.length,
+    n_reviews: sessions.reduce((sum, session) => sum + (session.reviews?.length ?? 0), 0),
+  };
+
+  const manifest = await readManifest();
+  const snapshots = [...(manifest.snapshots || []).filter((item) => item.date !== date), entry].sort((a, b) =>
+    a.date.localeCompare(b.date)
+  );
+
+  await writeJson(path.join(SNAPSHOT_DIR, file), sessions);
+  await writeJson(MANIFEST, { ...manifest, snapshots });
+
+  console.log(`Snapshot ${date}: ${entry.n_sessions} sessions, ${entry.n_reviews} reviews (${snapshots.length} in history)`);
+  console.log(`  → ${relative(path.join(SNAPSHOT_DIR, file))}`);
+  console.log(`  → ${relative(MANIFEST)}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
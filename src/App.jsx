@@ -10,8 +10,58 @@ import {
   Tooltip,
   ResponsiveContainer,
   Legend,
+  Brush,
+  ReferenceDot,
+  ReferenceLine,
 } from "recharts";
-import { parseISO, format } from "date-fns";
+import {
+  addDays,
+  addMonths,
+  addQuarters,
+  addWeeks,
+  differenceInCalendarDays,
+  endOfDay,
+  endOfMonth,
+  endOfYear,
+  format,
+  isValid,
+  parseISO,
+  startOfDay,
+  startOfMonth,
+  startOfQuarter,
+  startOfWeek,
+  startOfYear,
+  subDays,
+} from "date-fns";
+import {
+  DATA_SOURCE_TYPES,
+  DataSourceError,
+  DEFAULT_DATA_SOURCE,
+  loadDataSource,
+  loadSnapshots,
+  parseDataFile,
+} from "./lib/dataSources.js";
+import {
+  ALERT_METRICS,
+  buildAlertFeed,
+  DEFAULT_ALERT_RULES,
+  describeAlertRule,
+  evaluateAlerts,
+  isOpenAlert,
+  watchEntry,
+} from "./lib/alerts.js";
+import { ANOMALY_METRICS, detectAnomalies } from "./lib/anomalies.js";
+import { extractPhrases, PHRASE_SOURCES, reviewPhrases } from "./lib/phrases.js";
+import { parseSessionSlug } from "./lib/presenters.js";
+import { groupReviewsBySession } from "./lib/reviews.js";
+import {
+  alignSentimentToLabel,
+  corpusPrior,
+  DEFAULT_RULES,
+  mergeRules,
+  rescoreSessions,
+  summarizeSession,
+} from "./lib/scoring.js";
 
 const navSections = [
   {
@@ -19,12 +69,18 @@ const navSections = [
     items: [
       { label: "Dashboard", view: "dashboard" },
       { label: "Reviews", view: "reviews" },
+      { label: "Compare", view: "compare" },
+      { label: "Presenters", view: "presenters" },
+      { label: "Topics", view: "topics" },
+      { label: "Disagreements", view: "disagreements" },
+      { label: "History", view: "history" },
+      { label: "Alerts", view: "alerts" },
     ],
   },
   {
     heading: "Others",
     items: [
-      { label: "Settings" },
+      { label: "Settings", view: "settings" },
     ],
   },
 ];
@@ -33,33 +89,282 @@ const sentimentColors = {
   positive: "text-emerald-600 bg-emerald-50",
   neutral: "text-slate-600 bg-slate-100",
   negative: "text-rose-600 bg-rose-50",
+  unscored: "text-slate-400 bg-slate-50 ring-1 ring-inset ring-slate-200",
 };
 
 const attentionStatuses = new Set(["problematic", "mixed"]);
 
+const viewTitles = {
+  dashboard: "Dashboard",
+  reviews: "Reviews",
+  compare: "Compare sessions",
+  presenters: "Presenters",
+  topics: "Topic explorer",
+  disagreements: "Rating–sentiment disagreements",
+  history: "Snapshot history",
+  alerts: "Alerts",
+  report: "Executive report",
+  session: "Session",
+  settings: "Scoring rules",
+};
+
 const prettyPercent = (value) => `${value.toFixed(1)}%`;
+// Sessions whose reviews are all in unscored languages have no sentiment aggregates.
+const formatSentiment = (value) => (Number.isFinite(value) ? value.toFixed(2) : "—");
+const formatShare = (value) => (Number.isFinite(value) ? prettyPercent(value * 100) : "—");
+const formatRating = (value) => (Number.isFinite(value) ? value.toFixed(2) : "—");
+// Roles are stored as they appear in the slug ("somatic coach").
+const formatRole = (role) => (role ? role.charAt(0).toUpperCase() + role.slice(1) : null);
+// Adjusted values carry a 95% interval; data scored before they existed has neither.
+const formatInterval = (low, high, formatValue) =>
+  Number.isFinite(low) && Number.isFinite(high) ? `${formatValue(low)}–${formatValue(high)}` : null;
 
 const chip = (label) => (
-  <span className="inline-flex items-center rounded-full bg-slate-100 px-2 py-[2px] text-xs font-medium text-slate-700 mr-1">
+  <span key={label} className="inline-flex items-center rounded-full bg-slate-100 px-2 py-[2px] text-xs font-medium text-slate-700 mr-1">
     {label}
   </span>
 );
 
-function useSessions() {
-  const [sessions, setSessions] = useState(null);
+const defaultFilters = {
+  sentiment: "all",
+  status: "all",
+  themes: [],
+  primary: [],
+  stars: [],
+  languages: [],
+  painPoints: false,
+  featureRequests: false,
+  duplicates: false,
+  phrase: "",
+  session: "",
+};
+const defaultSort = [{ key: "attention_score", dir: "desc" }];
+const defaultReviewSort = { key: "date", dir: "desc" };
+const defaultDateRange = { preset: "all", from: "", to: "" };
+
+const sentimentOptions = [
+  { label: "All", value: "all" },
+  { label: "Positive", value: "positive" },
+  { label: "Neutral", value: "neutral" },
+  { label: "Negative", value: "negative" },
+  { label: "Unscored", value: "unscored" },
+];
+const statusOptions = [
+  { label: "All statuses", value: "all" },
+  { label: "Problematic", value: "problematic" },
+  { label: "Mixed", value: "mixed" },
+  { label: "Successful", value: "successful" },
+];
+const themeOptions = [
+  { label: "Content", value: "content" },
+  { label: "Presenter", value: "presenter" },
+  { label: "Utility", value: "utility" },
+  { label: "Technical", value: "technical" },
+];
+const starOptions = ["1", "2", "3", "4", "5"].map((value) => ({ label: `${value}★`, value }));
+// Languages the analysis script can detect; "und" is text it could not place.
+const languageNames = {
+  en: "English",
+  ro: "Romanian",
+  es: "Spanish",
+  pt: "Portuguese",
+  ru: "Russian",
+  und: "Undetected",
+};
+const languageOptions = Object.entries(languageNames).map(([value, label]) => ({ label, value }));
+const signalOptions = [
+  { label: "Has pain point", value: "painPoints" },
+  { label: "Has feature request", value: "featureRequests" },
+  { label: "Has duplicates", value: "duplicates" },
+];
+const optionValues = (options) => options.map((option) => option.value);
+
+const dateRangePresets = [
+  { label: "All time", value: "all" },
+  { label: "Last 30 days", value: "30d" },
+  { label: "Last 90 days", value: "90d" },
+  { label: "This year", value: "year" },
+  { label: "Custom range", value: "custom" },
+];
+const isoDatePattern = /^\d{4}-\d{2}-\d{2}$/;
+// "2024-13-45" has the right shape but is no date; parseISO turns it into an Invalid Date.
+const isIsoDate = (value) => isoDatePattern.test(value ?? "") && isValid(parseISO(value));
+
+const reviewSortOptions = [
+  { label: "Newest first", value: "date:desc" },
+  { label: "Oldest first", value: "date:asc" },
+  { label: "Highest rating", value: "rating:desc" },
+  { label: "Lowest rating", value: "rating:asc" },
+  { label: "Most positive", value: "sentiment:desc" },
+  { label: "Most negative", value: "sentiment:asc" },
+];
+
+const pickOption = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+const pickOptions = (value, allowed) => (value ? value.split(",").filter((item) => allowed.includes(item)) : []);
+
+// Hash routes (`#/reviews?sentiment=negative&sort=pct_negative:asc`) keep shared links
+// working on static hosts without any rewrite rules.
+function parseUrlState(hash) {
+  const [path = "", search = ""] = hash.replace(/^#\/?/, "").split("?");
+  const segments = path.split("/").filter(Boolean).map(decodeURIComponent);
+  const params = new URLSearchParams(search);
+  let view = "dashboard";
+  let sessionId = null;
+  if (segments[0] === "session") {
+    if (segments[1]) {
+      view = "session";
+      sessionId = segments[1];
+    }
+  } else if (viewTitles[segments[0]]) {
+    view = segments[0];
+  }
+  const sortBy = (params.get("sort") || "")
+    .split(",")
+    .map((entry) => entry.split(":"))
+    .filter(([key]) => sortableSessionKeys.includes(key))
+    .map(([key, dir]) => ({ key, dir: dir === "asc" ? "asc" : "desc" }));
+  const reviewSort = pickOption(params.get("rsort"), optionValues(reviewSortOptions), null);
+  return {
+    view,
+    sessionId,
+    compareIds: (params.get("ids") || "").split(",").filter(Boolean).slice(0, MAX_COMPARED_SESSIONS),
+    filters: {
+      sentiment: pickOption(params.get("sentiment"), optionValues(sentimentOptions), defaultFilters.sentiment),
+      status: pickOption(params.get("status"), optionValues(statusOptions), defaultFilters.status),
+      themes: pickOptions(params.get("themes"), optionValues(themeOptions)),
+      primary: pickOptions(params.get("primary"), optionValues(themeOptions)),
+      stars: pickOptions(params.get("stars"), optionValues(starOptions)),
+      languages: pickOptions(params.get("languages"), optionValues(languageOptions)),
+      painPoints: params.get("painPoints") === "1",
+      featureRequests: params.get("featureRequests") === "1",
+      duplicates: params.get("duplicates") === "1",
+      phrase: (params.get("phrase") || "").trim().toLowerCase(),
+      session: (params.get("session") || "").trim(),
+    },
+    dateRange: {
+      preset: pickOption(params.get("range"), optionValues(dateRangePresets), defaultDateRange.preset),
+      from: isIsoDate(params.get("from")) ? params.get("from") : "",
+      to: isIsoDate(params.get("to")) ? params.get("to") : "",
+    },
+    query: params.get("q") ?? "",
+    // Successful sessions only show up in the "all" scope.
+    scope: params.get("scope") === "all" || params.get("status") === "successful" ? "all" : "attention",
+    sortBy: sortBy.length ? sortBy : defaultSort,
+    reviewQuery: params.get("rq") ?? "",
+    reviewSort: reviewSort ? { key: reviewSort.split(":")[0], dir: reviewSort.split(":")[1] } : defaultReviewSort,
+  };
+}
+
+function buildUrlHash({
+  view,
+  sessionId,
+  compareIds,
+  filters,
+  dateRange,
+  query,
+  scope,
+  sortBy,
+  reviewQuery,
+  reviewSort,
+}) {
+  let path = view === "dashboard" ? "" : view;
+  if (view === "session") path = sessionId ? `session/${encodeURIComponent(sessionId)}` : "";
+  const params = new URLSearchParams();
+  if (view === "compare" && compareIds.length) params.set("ids", compareIds.join(","));
+  for (const [key, value] of Object.entries(filters)) {
+    if (isDefaultFilter(key, value)) continue;
+    if (Array.isArray(value)) params.set(key, value.join(","));
+    else params.set(key, value === true ? "1" : value);
+  }
+  if (dateRange.preset !== defaultDateRange.preset) params.set("range", dateRange.preset);
+  if (dateRange.preset === "custom") {
+    if (dateRange.from) params.set("from", dateRange.from);
+    if (dateRange.to) params.set("to", dateRange.to);
+  }
+  if (query.trim()) params.set("q", query.trim());
+  if (scope === "all") params.set("scope", scope);
+  const sort = sortBy.map((entry) => `${entry.key}:${entry.dir}`).join(",");
+  if (sort !== defaultSort.map((entry) => `${entry.key}:${entry.dir}`).join(",")) params.set("sort", sort);
+  if (reviewQuery.trim()) params.set("rq", reviewQuery.trim());
+  if (reviewSort.key !== defaultReviewSort.key || reviewSort.dir !== defaultReviewSort.dir) {
+    params.set("rsort", `${reviewSort.key}:${reviewSort.dir}`);
+  }
+  const search = params.toString();
+  return `#/${path}${search ? `?${search}` : ""}`;
+}
+
+function readUrlState() {
+  return parseUrlState(typeof window !== "undefined" ? window.location.hash : "");
+}
+
+const STORAGE_PREFIX = "review-dashboard:";
+
+function usePersistentState(key, initialValue) {
+  const [value, setValue] = useState(() => {
+    try {
+      const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+      return raw != null ? JSON.parse(raw) : initialValue;
+    } catch {
+      return initialValue;
+    }
+  });
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    } catch {
+      // Private mode or a full quota: keep the value in memory only.
+    }
+  }, [key, value]);
+
+  return [value, setValue];
+}
+
+// Fields analysts can correct from a review card; anything else in an override is ignored.
+const overrideFields = ["sentiment_label", "themes", "primary_theme", "pain_points", "feature_requests"];
+
+const pickOverrideFields = (review) => Object.fromEntries(overrideFields.map((field) => [field, review[field] ?? null]));
+
+// Relabelled reviews keep the model's values (and its sentiment score) in `__model` so the
+// editor can diff against them and a revert is just dropping the override.
+function applyOverride(review, override) {
+  const fields = override ? overrideFields.filter((field) => field in override) : [];
+  if (!fields.length) return review;
+  const next = { ...review, __model: { ...pickOverrideFields(review), sentiment: review.sentiment }, __overrides: fields };
+  for (const field of fields) next[field] = override[field];
+  if (fields.includes("sentiment_label")) next.sentiment = alignSentimentToLabel(review.sentiment, override.sentiment_label);
+  return next;
+}
+
+function applyOverrides(sessions, overrides) {
+  if (!Object.keys(overrides).length) return sessions;
+  return sessions.map((session) => ({
+    ...session,
+    reviews: (session.reviews || []).map((review) => applyOverride(review, overrides[review.review_id])),
+  }));
+}
+
+// `source` picks where sessions come from (see src/lib/dataSources.js). Uploaded files
+// are not fetched; they arrive through `loadFile` and live in memory only.
+function useSessions(rules, source) {
+  const [loaded, setLoaded] = useState(null);
   const [error, setError] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const [loading, setLoading] = useState(source.type !== "upload");
+  const [overrides, setOverrides] = usePersistentState("reviewOverrides", {});
 
   useEffect(() => {
+    if (source.type === "upload") return undefined;
     let alive = true;
     (async () => {
+      setLoading(true);
       try {
-        const res = await fetch("/data/sessions_analysis.json", { cache: "no-store" });
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        const json = await res.json();
-        if (alive) setSessions(json);
+        const json = await loadDataSource(source);
+        if (alive) {
+          setLoaded(json);
+          setError(null);
+        }
       } catch (e) {
-        setError(e);
+        if (alive) setError(e);
       } finally {
         if (alive) setLoading(false);
       }
@@ -67,29 +372,198 @@ function useSessions() {
     return () => {
       alive = false;
     };
+  }, [source]);
+
+  // Resolves to whether the file loaded; on failure the previous data stays on screen.
+  const loadFile = async (file) => {
+    try {
+      setLoaded(parseDataFile(file.name, await file.text()));
+      setError(null);
+      return true;
+    } catch (e) {
+      setError(e instanceof DataSourceError ? e : new DataSourceError(`Could not read “${file.name}”: ${e.message}`));
+      return false;
+    }
+  };
+
+  // Aggregates, scores and statuses are recomputed from the (corrected) reviews, so manual
+  // overrides and the saved scoring rules show up in every view.
+  const sessions = useMemo(
+    () => (loaded ? rescoreSessions(applyOverrides(loaded, overrides), rules) : loaded),
+    [loaded, overrides, rules]
+  );
+
+  return { sessions, error, loading, loadFile, overrides, setOverrides };
+}
+
+// Earlier scrapes saved by `npm run snapshot`. They are rescored with the current rules
+// and relabels, so a delta against the live data only ever reflects new reviews.
+function useSnapshots(rules, overrides) {
+  const [loaded, setLoaded] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let alive = true;
+    (async () => {
+      try {
+        const snapshots = await loadSnapshots();
+        if (alive) setLoaded(snapshots);
+      } catch (e) {
+        if (alive) setError(e);
+      }
+    })();
+    return () => {
+      alive = false;
+    };
   }, []);
 
-  return { sessions, error, loading };
+  const snapshots = useMemo(
+    () =>
+      loaded.map((snapshot) => ({
+        ...snapshot,
+        sessions: rescoreSessions(applyOverrides(snapshot.sessions, overrides), rules),
+      })),
+    [loaded, overrides, rules]
+  );
+
+  return { snapshots, error };
+}
+
+// Watched sessions, alert rules and the alert inbox, all kept in localStorage. Rules run
+// again whenever the sessions change: a new load, but also new scoring rules or relabels.
+function useAlerts(sessions) {
+  const [rules, setRules] = usePersistentState("alerts.rules", DEFAULT_ALERT_RULES);
+  const [watchlist, setWatchlist] = usePersistentState("alerts.watchlist", {});
+  const [alerts, setAlerts] = usePersistentState("alerts.inbox", []);
+
+  useEffect(() => {
+    if (!sessions) return;
+    const next = evaluateAlerts({ sessions, rules, watchlist, alerts });
+    if (next.alerts !== alerts) setAlerts(next.alerts);
+    if (next.watchlist !== watchlist) setWatchlist(next.watchlist);
+  }, [sessions, rules, watchlist, alerts, setAlerts, setWatchlist]);
+
+  return { rules, setRules, watchlist, setWatchlist, alerts, setAlerts };
+}
+
+// The latest `scraped_at` on any review, i.e. the date this dataset was collected.
+function getScrapeDate(sessions) {
+  let latest = null;
+  for (const session of sessions || []) {
+    for (const review of session.reviews || []) {
+      if (review.scraped_at && (!latest || review.scraped_at > latest)) latest = review.scraped_at;
+    }
+  }
+  return latest?.slice(0, 10) ?? null;
 }
 
+// Snapshots the live data can be compared against: anything scraped before it.
+const getBaselineCandidates = (snapshots, scrapeDate) =>
+  snapshots.filter((snapshot) => !scrapeDate || snapshot.date < scrapeDate);
+
 function getAllReviews(sessions) {
   return sessions?.flatMap((s) => s.reviews.map((r) => ({ ...r, __session: s }))) ?? [];
 }
 
-function getDateRangeLabel(reviews) {
+function parseReviewDate(review) {
+  if (!review.review_date) return null;
+  const parsed = parseISO(review.review_date);
+  return Number.isNaN(+parsed) ? null : parsed;
+}
+
+// Presets are anchored to the newest review rather than today, so a static
+// snapshot still shows its last 30 days instead of an empty dashboard.
+function resolveDateRange(range, anchor) {
+  const end = endOfDay(anchor);
+  switch (range.preset) {
+    case "30d":
+      return { start: startOfDay(subDays(anchor, 29)), end };
+    case "90d":
+      return { start: startOfDay(subDays(anchor, 89)), end };
+    case "year":
+      return { start: startOfYear(anchor), end: endOfYear(anchor) };
+    case "custom":
+      return {
+        start: isIsoDate(range.from) ? startOfDay(parseISO(range.from)) : null,
+        end: isIsoDate(range.to) ? endOfDay(parseISO(range.to)) : null,
+      };
+    default:
+      return { start: null, end: null };
+  }
+}
+
+function filterReviewsByDate(reviews, bounds) {
+  if (!bounds.start && !bounds.end) return reviews;
+  return reviews.filter((review) => {
+    const date = parseReviewDate(review);
+    if (!date) return false;
+    if (bounds.start && date < bounds.start) return false;
+    if (bounds.end && date > bounds.end) return false;
+    return true;
+  });
+}
+
+// Values inside one multi-select group are OR-ed; separate groups are AND-ed.
+function applyReviewFilters(reviews, filters) {
+  return reviews.filter((review) => {
+    if (filters.sentiment !== "all" && (review.sentiment_label || "neutral") !== filters.sentiment) return false;
+    if (filters.status !== "all" && review.__session?.status !== filters.status) return false;
+    if (filters.themes.length && !filters.themes.some((theme) => (review.themes || []).includes(theme))) return false;
+    if (filters.primary.length && !filters.primary.includes(review.primary_theme)) return false;
+    if (filters.stars.length && !filters.stars.includes(String(Math.round(Number(review.rating))))) return false;
+    if (filters.languages.length && !filters.languages.includes(review.language || "und")) return false;
+    if (filters.painPoints && !review.pain_points?.length) return false;
+    if (filters.featureRequests && !review.feature_requests?.length) return false;
+    if (filters.duplicates && !review.duplicates?.length) return false;
+    if (filters.phrase && !reviewPhrases(review).has(filters.phrase)) return false;
+    if (filters.session && review.session_id !== filters.session) return false;
+    return true;
+  });
+}
+
+function searchReviews(reviews, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return reviews;
+  return reviews.filter((review) => (review.review_text || "").toLowerCase().includes(q));
+}
+
+function sortReviews(reviews, sortBy) {
+  const dir = sortBy.dir === "asc" ? 1 : -1;
+  const getValue = (review) => {
+    if (sortBy.key === "rating") return Number.isFinite(review.rating) ? review.rating : 0;
+    if (sortBy.key === "sentiment") return Number.isFinite(review.sentiment) ? review.sentiment : 0;
+    return review.review_date ? Date.parse(review.review_date) || 0 : 0;
+  };
+  return [...reviews].sort((a, b) => (getValue(a) - getValue(b)) * dir);
+}
+
+function isDefaultFilter(key, value) {
+  return Array.isArray(value) ? value.length === 0 : value === defaultFilters[key];
+}
+
+function hasActiveFilters(filters, dateRange) {
+  return (
+    dateRange.preset !== defaultDateRange.preset ||
+    Object.entries(filters).some(([key, value]) => !isDefaultFilter(key, value))
+  );
+}
+
+function getDateRangeLabel(reviews, bounds = {}) {
   const dates = reviews
-    .map((r) => {
-      if (!r.review_date) return null;
-      const parsed = parseISO(r.review_date);
-      return Number.isNaN(+parsed) ? null : parsed;
-    })
+    .map(parseReviewDate)
     .filter(Boolean)
     .sort((a, b) => a - b);
-  if (!dates.length) return "No dated reviews";
-  return `${format(dates[0], "dd MMM yyyy")} - ${format(dates[dates.length - 1], "dd MMM yyyy")}`;
+  const start = bounds.start ?? dates[0];
+  const end = bounds.end ?? dates[dates.length - 1];
+  if (!start || !end) return "No dated reviews";
+  return `${format(start, "dd MMM yyyy")} - ${format(end, "dd MMM yyyy")}`;
 }
 
-function buildMonthlyTrend(reviews) {
+/**
+ * Sentiment mix, volume, technical mentions and averages per calendar month. `fillGaps`
+ * adds empty months between the first and last dated review, so gaps read as zero.
+ */
+function buildMonthlyTrend(reviews, { fillGaps = false } = {}) {
   const buckets = new Map();
   for (const review of reviews) {
     if (!review.review_date) continue;
@@ -105,33 +579,112 @@ function buildMonthlyTrend(reviews) {
         neutral: 0,
         negative: 0,
         total: 0,
+        technical: 0,
         ratingSum: 0,
         ratingCount: 0,
+        sentimentSum: 0,
+        sentimentCount: 0,
       };
     bucket.total += 1;
     if (review.sentiment_label === "positive") bucket.positive += 1;
     else if (review.sentiment_label === "negative") bucket.negative += 1;
-    else bucket.neutral += 1;
+    else if (review.sentiment_label !== "unscored") bucket.neutral += 1;
+    if ((review.themes || []).includes("technical")) bucket.technical += 1;
 
     if (Number.isFinite(review.rating)) {
       bucket.ratingSum += review.rating;
       bucket.ratingCount += 1;
     }
+    if (Number.isFinite(review.sentiment)) {
+      bucket.sentimentSum += review.sentiment;
+      bucket.sentimentCount += 1;
+    }
     buckets.set(key, bucket);
   }
+  if (fillGaps && buckets.size) {
+    const keys = [...buckets.keys()].sort();
+    const last = parseISO(`${keys[keys.length - 1]}-01`);
+    for (let month = parseISO(`${keys[0]}-01`); month <= last; month = addMonths(month, 1)) {
+      const key = format(month, "yyyy-MM");
+      if (buckets.has(key)) continue;
+      buckets.set(key, {
+        monthKey: key,
+        month: format(month, "MMM"),
+        positive: 0,
+        neutral: 0,
+        negative: 0,
+        total: 0,
+        technical: 0,
+        ratingSum: 0,
+        ratingCount: 0,
+        sentimentSum: 0,
+        sentimentCount: 0,
+      });
+    }
+  }
   return [...buckets.values()]
     .sort((a, b) => a.monthKey.localeCompare(b.monthKey))
     .map((bucket) => ({
+      monthKey: bucket.monthKey,
       month: bucket.month,
       positive: bucket.positive,
       neutral: bucket.neutral,
       negative: bucket.negative,
       total: bucket.total,
+      technical: bucket.technical,
+      ratingCount: bucket.ratingCount,
       avgRating: bucket.ratingCount ? bucket.ratingSum / bucket.ratingCount : null,
+      avgSentiment: bucket.sentimentCount ? bucket.sentimentSum / bucket.sentimentCount : null,
     }));
 }
 
 
+/** Anomalies in the monthly series of `reviews`, tagged with the session they belong to (if any). */
+function findMonthlyAnomalies(reviews, session = null) {
+  const series = buildMonthlyTrend(reviews, { fillGaps: true });
+  return detectAnomalies(series).map((anomaly) => ({
+    ...anomaly,
+    id: `${session?.session_id ?? "all"}:${anomaly.metric}:${series[anomaly.index].monthKey}`,
+    monthKey: series[anomaly.index].monthKey,
+    session_id: session?.session_id ?? null,
+    session_title: session ? formatSessionTitle(session) : null,
+  }));
+}
+
+const newestAnomalyFirst = (a, b) => b.monthKey.localeCompare(a.monthKey) || Math.abs(b.score) - Math.abs(a.score);
+
+/** Corpus-wide anomalies plus those in each session's share of `reviews`, newest month first. */
+function buildAnomalyList(reviews, sessions = []) {
+  const byId = new Map(sessions.map((session) => [session.session_id, session]));
+  return [
+    ...findMonthlyAnomalies(reviews),
+    ...[...groupReviewsBySession(reviews).entries()].flatMap(([sessionId, list]) =>
+      findMonthlyAnomalies(list, byId.get(sessionId) ?? { session_id: sessionId })
+    ),
+  ].sort(newestAnomalyFirst);
+}
+
+const formatMonthKey = (pattern) => (monthKey) =>
+  /^\d{4}-\d{2}$/.test(monthKey) ? format(parseISO(`${monthKey}-01`), pattern) : monthKey;
+
+const formatAnomalyValue = (metric, value) =>
+  metric === "avgRating" ? `${value.toFixed(2)}★` : Number.isInteger(value) ? String(value) : value.toFixed(1);
+
+function describeAnomaly(anomaly) {
+  const { label } = ANOMALY_METRICS[anomaly.metric];
+  const verb = anomaly.direction === "spike" ? "jumped to" : "dropped to";
+  return `${label} ${verb} ${formatAnomalyValue(anomaly.metric, anomaly.value)} (usually ${formatAnomalyValue(
+    anomaly.metric,
+    anomaly.baseline
+  )})`;
+}
+
+// Filters that narrow the review list to the reviews behind an anomaly's metric.
+const anomalyReviewFilters = {
+  negative: { sentiment: "negative" },
+  technical: { themes: ["technical"] },
+};
+
 function formatFriendlyDate(value, fallback = "—") {
   if (!value) return fallback;
   const dateObj = value instanceof Date ? value : parseISO(value);
@@ -139,15 +692,22 @@ function formatFriendlyDate(value, fallback = "—") {
   return format(dateObj, "dd MMM yyyy");
 }
 
+// Dates resolved from "8 months ago" style ages are only as precise as the age itself.
+const reviewDateFormats = { month: "MMM yyyy", year: "yyyy" };
+
+function formatReviewDate(review, fallback = "Unknown date") {
+  if (!review.review_date) return fallback;
+  const dateObj = parseISO(review.review_date);
+  if (Number.isNaN(+dateObj)) return fallback;
+  const pattern = reviewDateFormats[review.review_date_precision];
+  return pattern ? `~${format(dateObj, pattern)}` : format(dateObj, "dd MMM yyyy");
+}
+
 function formatSessionTitle({ session_title, session_id }) {
   const base = session_title?.trim();
   if (base) return base;
-  if (!session_id) return "Untitled session";
-  return session_id
-    .split(/[-_]/g)
-    .filter(Boolean)
-    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
-    .join(" ");
+  // Snapshots and uploads from before presenter extraction only have the slug.
+  return parseSessionSlug(session_id).title || "Untitled session";
 }
 
 function escapeCsvValue(value) {
@@ -156,6 +716,182 @@ function escapeCsvValue(value) {
   return `"${safe}"`;
 }
 
+const reviewExportColumns = [
+  { key: "review_id", label: "Review ID", value: (r) => r.review_id },
+  { key: "session_id", label: "Session ID", value: (r) => r.session_id },
+  { key: "review_date", label: "Date", value: (r) => r.review_date },
+  { key: "review_date_precision", label: "Date precision", value: (r) => r.review_date_precision },
+  { key: "rating", label: "Rating", value: (r) => r.rating },
+  { key: "sentiment_label", label: "Sentiment label", value: (r) => r.sentiment_label },
+  { key: "language", label: "Language", value: (r) => r.language },
+  {
+    key: "preview",
+    label: "Text preview (160 chars)",
+    value: (r) => (r.review_text || "").replace(/\s+/g, " ").trim().slice(0, 160),
+  },
+  { key: "review_text", label: "Full text", value: (r) => r.review_text },
+  { key: "sentiment", label: "Sentiment score", value: (r) => r.sentiment },
+  { key: "themes", label: "Themes", value: (r) => r.themes ?? [] },
+  { key: "primary_theme", label: "Primary theme", value: (r) => r.primary_theme },
+  { key: "pain_points", label: "Pain points", value: (r) => r.pain_points ?? [] },
+  { key: "feature_requests", label: "Feature requests", value: (r) => r.feature_requests ?? [] },
+  { key: "reviewer", label: "Reviewer", value: (r) => r.reviewer },
+  { key: "source_url", label: "Source URL", value: (r) => r.source_url },
+  { key: "duplicate_ids", label: "Duplicate captures", value: (r) => (r.duplicates ?? []).map((d) => d.review_id) },
+];
+const defaultExportColumns = ["review_id", "session_id", "review_date", "rating", "sentiment_label", "preview"];
+
+// Same column order as data/sessions_ranked.csv.
+const sessionExportColumns = [
+  { key: "session_id", value: (s) => s.session_id },
+  { key: "session_title", value: (s) => s.session_title },
+  { key: "presenter", value: (s) => s.presenter },
+  { key: "presenter_role", value: (s) => s.presenter_role },
+  { key: "n_reviews", value: (s) => s.n_reviews },
+  { key: "n_scored", value: (s) => s.n_scored ?? s.n_reviews },
+  { key: "avg_sentiment", value: (s) => s.avg_sentiment },
+  { key: "pct_negative", value: (s) => s.pct_negative },
+  { key: "avg_rating", value: (s) => s.avg_rating },
+  { key: "avg_rating_adjusted", value: (s) => s.avg_rating_adjusted },
+  { key: "avg_rating_low", value: (s) => s.avg_rating_low },
+  { key: "avg_rating_high", value: (s) => s.avg_rating_high },
+  { key: "pct_negative_adjusted", value: (s) => s.pct_negative_adjusted },
+  { key: "pct_negative_low", value: (s) => s.pct_negative_low },
+  { key: "pct_negative_high", value: (s) => s.pct_negative_high },
+  { key: "low_confidence", value: (s) => s.low_confidence },
+  ...themeOptions.map((theme) => ({ key: `themes.${theme.value}`, value: (s) => s.themes?.[theme.value] ?? 0 })),
+  { key: "attention_score", value: (s) => s.attention_score },
+  { key: "status", value: (s) => s.status },
+];
+
+function buildExportTable(items, columns) {
+  return {
+    header: columns.map((column) => column.key),
+    rows: items.map((item) => columns.map((column) => column.value(item) ?? null)),
+  };
+}
+
+const flattenExportValue = (value) => (Array.isArray(value) ? value.join(" | ") : value);
+
+function toCsv(table) {
+  const lines = [table.header.map(escapeCsvValue).join(",")];
+  for (const row of table.rows) lines.push(row.map((value) => escapeCsvValue(flattenExportValue(value))).join(","));
+  return lines.join("\n");
+}
+
+function toJsonRecords(table) {
+  return table.rows.map((row) => Object.fromEntries(table.header.map((key, index) => [key, row[index]])));
+}
+
+const escapeXml = (value) =>
+  String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// SpreadsheetML 2003: a plain XML workbook Excel, LibreOffice and Numbers open
+// with one tab per sheet, without pulling an xlsx library into the bundle.
+function toSpreadsheetXml(sheets) {
+  const cell = (value) => {
+    const flat = flattenExportValue(value);
+    if (typeof flat === "number" && Number.isFinite(flat)) return `<Cell><Data ss:Type="Number">${flat}</Data></Cell>`;
+    return `<Cell><Data ss:Type="String">${escapeXml(flat ?? "")}</Data></Cell>`;
+  };
+  const worksheets = sheets.map(
+    ({ name, rows }) =>
+      `<Worksheet ss:Name="${escapeXml(name)}"><Table>${rows
+        .map((row) => `<Row>${row.map(cell).join("")}</Row>`)
+        .join("")}</Table></Worksheet>`
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<?mso-application progid="Excel.Sheet"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    ...worksheets,
+    "</Workbook>",
+  ].join("\n");
+}
+
+function describeFilters(filters) {
+  const parts = Object.entries(filters)
+    .filter(([key, value]) => !isDefaultFilter(key, value))
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(",") : value}`);
+  return parts.length ? parts.join("; ") : "none";
+}
+
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// Returns the files to download for one export request; CSV cannot hold two
+// tables, so the "both" scope yields one file per table.
+function buildExportFiles({ format: fileFormat, scope, columns }, { reviews, sessions, metadata }) {
+  const stamp = Date.now();
+  const reviewTable = buildExportTable(
+    reviews,
+    reviewExportColumns.filter((column) => columns.includes(column.key))
+  );
+  const sessionTable = buildExportTable(sessions, sessionExportColumns);
+  const includeReviews = scope !== "sessions";
+  const includeSessions = scope !== "reviews";
+
+  if (fileFormat === "json") {
+    const payload = { metadata };
+    if (includeReviews) payload.reviews = toJsonRecords(reviewTable);
+    if (includeSessions) payload.sessions = toJsonRecords(sessionTable);
+    return [
+      {
+        content: JSON.stringify(payload, null, 2),
+        filename: `reviews-export-${stamp}.json`,
+        type: "application/json;charset=utf-8;",
+      },
+    ];
+  }
+
+  if (fileFormat === "xls") {
+    const sheets = [{ name: "Metadata", rows: Object.entries(metadata) }];
+    if (includeReviews) sheets.push({ name: "Reviews", rows: [reviewTable.header, ...reviewTable.rows] });
+    if (includeSessions) sheets.push({ name: "Sessions", rows: [sessionTable.header, ...sessionTable.rows] });
+    return [
+      {
+        content: toSpreadsheetXml(sheets),
+        filename: `reviews-export-${stamp}.xls`,
+        type: "application/vnd.ms-excel;charset=utf-8;",
+      },
+    ];
+  }
+
+  // CSV has no place for metadata that standard parsers skip, so it goes in its own
+  // key,value file next to the data files.
+  const files = [
+    {
+      content: toCsv({ header: ["key", "value"], rows: Object.entries(metadata) }),
+      filename: `export-metadata-${stamp}.csv`,
+      type: "text/csv;charset=utf-8;",
+    },
+  ];
+  if (includeReviews) {
+    files.push({
+      content: toCsv(reviewTable),
+      filename: `reviews-export-${stamp}.csv`,
+      type: "text/csv;charset=utf-8;",
+    });
+  }
+  if (includeSessions) {
+    files.push({
+      content: toCsv(sessionTable),
+      filename: `sessions-export-${stamp}.csv`,
+      type: "text/csv;charset=utf-8;",
+    });
+  }
+  return files;
+}
+
 function getLatestReviewDate(reviews = []) {
   let latest = null;
   for (const review of reviews) {
@@ -167,41 +903,128 @@ function getLatestReviewDate(reviews = []) {
   return latest;
 }
 
-function buildChronologicalTrend(reviews) {
-  const buckets = new Map();
+const trendGranularities = {
+  // A 7- or 30-day average only smooths anything when the buckets are days.
+  day: { label: "Day", start: startOfDay, next: (date) => addDays(date, 1), format: "d MMM yy", rolls: true },
+  week: {
+    label: "Week",
+    start: (date) => startOfWeek(date, { weekStartsOn: 1 }),
+    next: (date) => addWeeks(date, 1),
+    format: "'wk' d MMM yy",
+  },
+  // Dates derived from "N months ago" pile up on a few days, so day and week buckets
+  // are too spiky to flag anomalies in.
+  month: {
+    label: "Month",
+    start: startOfMonth,
+    next: (date) => addMonths(date, 1),
+    format: "MMM yyyy",
+    flagsAnomalies: true,
+  },
+  quarter: {
+    label: "Quarter",
+    start: startOfQuarter,
+    next: (date) => addQuarters(date, 1),
+    format: "QQQ yyyy",
+    flagsAnomalies: true,
+  },
+};
+
+const rollingWindowOptions = [
+  { value: 0, label: "Off" },
+  { value: 7, label: "7-day" },
+  { value: 30, label: "30-day" },
+];
+
+/**
+ * Review volume and average rating per day, week, month or quarter over the whole dated
+ * range, empty buckets included. With a rolling `window` (in days) day buckets also get
+ * `rollingCount` and `rollingRating` over the `window` days up to and including that day;
+ * longer buckets ignore the window.
+ */
+function buildChronologicalTrend(reviews, { granularity = "day", window = 0 } = {}) {
+  const spec = trendGranularities[granularity] ?? trendGranularities.day;
+  const rollingDays = spec.rolls ? window : 0;
+  const dated = [];
   for (const review of reviews) {
     if (!review.review_date) continue;
     const parsed = parseISO(review.review_date);
     if (Number.isNaN(+parsed)) continue;
-    const key = parsed.toISOString().slice(0, 10);
-    const bucket =
-      buckets.get(key) || {
-        date: parsed,
-        count: 0,
-        ratingSum: 0,
-        ratingCount: 0,
-      };
-    bucket.count += 1;
-    if (Number.isFinite(review.rating)) {
-      bucket.ratingSum += review.rating;
-      bucket.ratingCount += 1;
+    dated.push({
+      day: startOfDay(parsed),
+      rating: Number.isFinite(review.rating) ? review.rating : null,
+      negative: review.sentiment_label === "negative",
+      technical: (review.themes || []).includes("technical"),
+    });
+  }
+  if (!dated.length) return [];
+
+  const first = dated.reduce((min, entry) => (entry.day < min ? entry.day : min), dated[0].day);
+  const last = dated.reduce((max, entry) => (entry.day > max ? entry.day : max), dated[0].day);
+  // Running totals per day since `first`, so any range of days sums in constant time.
+  const days = differenceInCalendarDays(last, first) + 1;
+  const totals = {
+    count: new Array(days + 1).fill(0),
+    negative: new Array(days + 1).fill(0),
+    technical: new Array(days + 1).fill(0),
+    ratingSum: new Array(days + 1).fill(0),
+    ratingCount: new Array(days + 1).fill(0),
+  };
+  for (const { day, rating, negative, technical } of dated) {
+    const index = differenceInCalendarDays(day, first) + 1;
+    totals.count[index] += 1;
+    if (negative) totals.negative[index] += 1;
+    if (technical) totals.technical[index] += 1;
+    if (rating != null) {
+      totals.ratingSum[index] += rating;
+      totals.ratingCount[index] += 1;
     }
-    buckets.set(key, bucket);
   }
+  for (const series of Object.values(totals)) {
+    for (let i = 1; i <= days; i += 1) series[i] += series[i - 1];
+  }
+  const sum = (series, from, to) => series[to + 1] - series[from];
 
-  return [...buckets.values()]
-    .sort((a, b) => a.date - b.date)
-    .map((bucket) => ({
-      date: bucket.date,
-      label: format(bucket.date, "dd MMM"),
-      count: bucket.count,
-      avgRating: bucket.ratingCount ? bucket.ratingSum / bucket.ratingCount : null,
-    }));
+  const buckets = [];
+  for (let cursor = spec.start(first); cursor <= last; cursor = spec.next(cursor)) {
+    const bucketDays = differenceInCalendarDays(spec.next(cursor), cursor);
+    // The first bucket can start before `first`, so clamp its days to the dated range.
+    const offset = differenceInCalendarDays(cursor, first);
+    const from = Math.max(0, offset);
+    const to = Math.min(days - 1, offset + bucketDays - 1);
+    const ratingCount = sum(totals.ratingCount, from, to);
+    const bucket = {
+      date: cursor,
+      label: format(cursor, spec.format),
+      count: sum(totals.count, from, to),
+      negative: sum(totals.negative, from, to),
+      technical: sum(totals.technical, from, to),
+      ratingCount,
+      avgRating: ratingCount ? sum(totals.ratingSum, from, to) / ratingCount : null,
+    };
+    if (rollingDays > 0) {
+      const windowFrom = Math.max(0, to - rollingDays + 1);
+      const windowRatings = sum(totals.ratingCount, windowFrom, to);
+      bucket.rollingCount = sum(totals.count, windowFrom, to) / (to - windowFrom + 1);
+      bucket.rollingRating = windowRatings ? sum(totals.ratingSum, windowFrom, to) / windowRatings : null;
+    }
+    buckets.push(bucket);
+  }
+  return buckets;
+}
+
+function buildRatingHistogram(reviews) {
+  const counts = [1, 2, 3, 4, 5].map((stars) => ({ stars, label: `${stars}★`, count: 0 }));
+  for (const review of reviews) {
+    const stars = Math.round(Number(review.rating));
+    if (stars >= 1 && stars <= 5) counts[stars - 1].count += 1;
+  }
+  return counts;
 }
 
-function Sidebar({ activeView, onSelectView }) {
+function Sidebar({ activeView, onSelectView, badges = {} }) {
   return (
-    <aside className="hidden lg:flex lg:w-64 xl:w-72 flex-col border-r bg-white/95 backdrop-blur-sm">
+    <aside className="hidden lg:flex lg:w-64 xl:w-72 flex-col border-r bg-white/95 backdrop-blur-sm print:hidden">
       <div className="px-6 py-5 flex items-center gap-3">
         <div className="h-10 w-10 rounded-full bg-indigo-600 text-white font-semibold flex items-center justify-center">
           M
@@ -221,13 +1044,18 @@ function Sidebar({ activeView, onSelectView }) {
                   key={item.label}
                   type="button"
                   onClick={item.view ? () => onSelectView(item.view) : undefined}
-                  className={`w-full text-left rounded-xl px-3 py-2 text-sm font-medium ${
+                  className={`w-full flex items-center justify-between rounded-xl px-3 py-2 text-sm font-medium ${
                     item.view && item.view === activeView
                       ? "bg-indigo-600 text-white shadow"
                       : "text-slate-600 hover:bg-slate-100"
                   }`}
                 >
                   {item.label}
+                  {badges[item.view] > 0 && (
+                    <span className="min-w-[20px] rounded-full bg-rose-500 px-1.5 py-[1px] text-center text-[11px] font-semibold text-white">
+                      {badges[item.view]}
+                    </span>
+                  )}
                 </button>
               ))}
             </div>
@@ -260,42 +1088,142 @@ function Sidebar({ activeView, onSelectView }) {
   );
 }
 
+function DateRangePicker({ value, bounds, onChange }) {
+  const toInputValue = (date) => (date ? format(date, "yyyy-MM-dd") : "");
+  return (
+    <div className="hidden md:flex items-center gap-2 rounded-full border px-3 py-1 text-xs text-slate-500">
+      <select
+        className="bg-transparent text-xs font-medium text-slate-600 focus:outline-none"
+        value={value.preset}
+        onChange={(e) => {
+          const preset = e.target.value;
+          if (preset === "custom") {
+            onChange({ preset, from: toInputValue(bounds.start), to: toInputValue(bounds.end) });
+          } else {
+            onChange({ ...defaultDateRange, preset });
+          }
+        }}
+      >
+        {dateRangePresets.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      {value.preset === "custom" && (
+        <>
+          <input
+            type="date"
+            className="bg-transparent text-xs text-slate-600"
+            value={value.from}
+            max={value.to || undefined}
+            onChange={(e) => onChange({ ...value, from: e.target.value })}
+          />
+          <span>→</span>
+          <input
+            type="date"
+            className="bg-transparent text-xs text-slate-600"
+            value={value.to}
+            min={value.from || undefined}
+            onChange={(e) => onChange({ ...value, to: e.target.value })}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+function FilterGroup({ title, options, value, onChange }) {
+  return (
+    <div className="mt-4 first:mt-0">
+      <p className="text-xs uppercase tracking-wide text-slate-400 mb-2">{title}</p>
+      <div className="flex flex-wrap gap-2">
+        {options.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => onChange(option.value)}
+            className={`rounded-full px-3 py-1 text-xs font-medium ${
+              value === option.value ? "bg-indigo-600 text-white" : "bg-slate-100 text-slate-600"
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function MultiFilterGroup({ title, options, values, onChange }) {
+  const toggle = (value) =>
+    onChange(values.includes(value) ? values.filter((item) => item !== value) : [...values, value]);
+  return (
+    <div className="mt-4">
+      <p className="text-xs uppercase tracking-wide text-slate-400 mb-2">{title}</p>
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={() => onChange([])}
+          className={`rounded-full px-3 py-1 text-xs font-medium ${
+            values.length ? "bg-slate-100 text-slate-600" : "bg-indigo-600 text-white"
+          }`}
+        >
+          Any
+        </button>
+        {options.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => toggle(option.value)}
+            className={`rounded-full px-3 py-1 text-xs font-medium ${
+              values.includes(option.value) ? "bg-indigo-600 text-white" : "bg-slate-100 text-slate-600"
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function FilteredBadge({ onReset }) {
+  return (
+    <span className="inline-flex items-center gap-1 rounded-full bg-amber-50 px-2 py-[2px] text-[11px] font-medium text-amber-700">
+      Filtered
+      <button type="button" onClick={onReset} className="underline underline-offset-2">
+        reset
+      </button>
+    </span>
+  );
+}
+
 function TopBar({
   dateRange,
+  dateRangeValue,
+  dateRangeBounds,
+  onDateRangeChange,
   activeView,
   filters,
   onFilterChange,
+  onResetFilters,
   filtersOpen,
   onToggleFilters,
   onExport,
+  onReport,
   onShare,
 }) {
-  const sentimentOptions = [
-    { label: "All", value: "all" },
-    { label: "Positive", value: "positive" },
-    { label: "Neutral", value: "neutral" },
-    { label: "Negative", value: "negative" },
-  ];
-  const statusOptions = [
-    { label: "All statuses", value: "all" },
-    { label: "Problematic", value: "problematic" },
-    { label: "Mixed", value: "mixed" },
-  ];
-
   return (
-    <header className="bg-white border-b">
+    <header className="bg-white border-b print:hidden">
       <div className="px-4 sm:px-6 lg:px-10 py-4 space-y-4 lg:space-y-0 lg:flex lg:items-center lg:justify-between">
         <div>
           <p className="text-xs uppercase tracking-wide text-slate-400">Review</p>
           <div className="flex items-center gap-3">
             <h1 className="text-2xl font-semibold text-slate-900">
-              {activeView === "reviews" ? "Reviews" : "Dashboard"}
+              {viewTitles[activeView] ?? "Dashboard"}
             </h1>
-            <div className="hidden md:flex items-center gap-2 rounded-full border px-3 py-1 text-xs text-slate-500">
-              <span>12 Aug 2023</span>
-              <span>→</span>
-              <span>12 Aug 2024</span>
-            </div>
+            <DateRangePicker value={dateRangeValue} bounds={dateRangeBounds} onChange={onDateRangeChange} />
           </div>
           <p className="text-sm text-slate-500 mt-1">{dateRange}</p>
         </div>
@@ -307,7 +1235,7 @@ function TopBar({
               filtersOpen ? "bg-indigo-600 text-white" : "text-slate-600"
             }`}
           >
-            Filter
+            Filter{onResetFilters ? " •" : ""}
           </button>
           <button
             type="button"
@@ -318,44 +1246,107 @@ function TopBar({
           </button>
           <button
             type="button"
-            className="rounded-xl bg-indigo-600 px-4 py-2 text-sm font-medium text-white shadow"
-            onClick={onShare}
+            className="rounded-xl border border-slate-200 px-4 py-2 text-sm font-medium text-slate-600"
+            onClick={onReport}
+          >
+            Generate report
+          </button>
+          <button
+            type="button"
+            className="rounded-xl bg-indigo-600 px-4 py-2 text-sm font-medium text-white shadow"
+            onClick={onShare}
           >
             Share
           </button>
           {filtersOpen && (
-            <div className="absolute right-0 top-full mt-3 w-72 rounded-2xl border border-slate-200 bg-white p-4 shadow-xl z-20">
-              <p className="text-xs uppercase tracking-wide text-slate-400 mb-2">Sentiment</p>
-              <div className="flex flex-wrap gap-2">
-                {sentimentOptions.map((option) => (
+            <div className="absolute right-0 top-full mt-3 w-80 max-h-[75vh] overflow-y-auto rounded-2xl border border-slate-200 bg-white p-4 shadow-xl z-20">
+              <FilterGroup
+                title="Sentiment"
+                options={sentimentOptions}
+                value={filters.sentiment}
+                onChange={(value) => onFilterChange("sentiment", value)}
+              />
+              <FilterGroup
+                title="Session status"
+                options={statusOptions}
+                value={filters.status}
+                onChange={(value) => onFilterChange("status", value)}
+              />
+              <MultiFilterGroup
+                title="Theme mentioned"
+                options={themeOptions}
+                values={filters.themes}
+                onChange={(values) => onFilterChange("themes", values)}
+              />
+              <MultiFilterGroup
+                title="Primary theme"
+                options={themeOptions}
+                values={filters.primary}
+                onChange={(values) => onFilterChange("primary", values)}
+              />
+              <MultiFilterGroup
+                title="Star rating"
+                options={starOptions}
+                values={filters.stars}
+                onChange={(values) => onFilterChange("stars", values)}
+              />
+              <MultiFilterGroup
+                title="Language"
+                options={languageOptions}
+                values={filters.languages}
+                onChange={(values) => onFilterChange("languages", values)}
+              />
+              <div className="mt-4">
+                <p className="text-xs uppercase tracking-wide text-slate-400 mb-2">Signals</p>
+                <div className="flex flex-wrap gap-2">
+                  {signalOptions.map((option) => (
+                    <button
+                      key={option.value}
+                      type="button"
+                      onClick={() => onFilterChange(option.value, !filters[option.value])}
+                      className={`rounded-full px-3 py-1 text-xs font-medium ${
+                        filters[option.value] ? "bg-indigo-600 text-white" : "bg-slate-100 text-slate-600"
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              {filters.phrase && (
+                <div className="mt-4">
+                  <p className="text-xs uppercase tracking-wide text-slate-400 mb-2">Phrase</p>
                   <button
-                    key={option.value}
                     type="button"
-                    onClick={() => onFilterChange("sentiment", option.value)}
-                    className={`rounded-full px-3 py-1 text-xs font-medium ${
-                      filters.sentiment === option.value ? "bg-indigo-600 text-white" : "bg-slate-100 text-slate-600"
-                    }`}
+                    onClick={() => onFilterChange("phrase", "")}
+                    className="rounded-full bg-indigo-600 px-3 py-1 text-xs font-medium text-white"
+                    title="Remove"
                   >
-                    {option.label}
+                    “{filters.phrase}” ×
                   </button>
-                ))}
-              </div>
-              <p className="text-xs uppercase tracking-wide text-slate-400 mt-4 mb-2">Session status</p>
-              <div className="flex flex-wrap gap-2">
-                {statusOptions.map((option) => (
+                </div>
+              )}
+              {filters.session && (
+                <div className="mt-4">
+                  <p className="text-xs uppercase tracking-wide text-slate-400 mb-2">Session</p>
                   <button
-                    key={option.value}
                     type="button"
-                    onClick={() => onFilterChange("status", option.value)}
-                    className={`rounded-full px-3 py-1 text-xs font-medium ${
-                      filters.status === option.value ? "bg-indigo-600 text-white" : "bg-slate-100 text-slate-600"
-                    }`}
+                    onClick={() => onFilterChange("session", "")}
+                    className="rounded-full bg-indigo-600 px-3 py-1 text-xs font-medium text-white"
+                    title="Remove"
                   >
-                    {option.label}
+                    {filters.session} ×
                   </button>
-                ))}
+                </div>
+              )}
+              <div className="mt-4 flex items-center justify-between">
+                <p className="text-[11px] text-slate-400">Filters apply to every view.</p>
+                {onResetFilters && (
+                  <button type="button" onClick={onResetFilters} className="text-xs font-medium text-indigo-600">
+                    Reset all
+                  </button>
+                )}
               </div>
-              <p className="mt-4 text-[11px] text-slate-400">Filters apply to the Reviews view.</p>
             </div>
           )}
         </div>
@@ -364,12 +1355,15 @@ function TopBar({
   );
 }
 
-function KPICards({ cards }) {
+function KPICards({ cards, onResetFilters }) {
   return (
     <section className="grid gap-4 sm:grid-cols-2 xl:grid-cols-4">
       {cards.map((card) => (
         <div key={card.label} className="rounded-2xl border bg-white p-4 shadow-sm">
-          <p className="text-xs uppercase tracking-wide text-slate-500">{card.label}</p>
+          <div className="flex items-center justify-between gap-2">
+            <p className="text-xs uppercase tracking-wide text-slate-500">{card.label}</p>
+            {onResetFilters && <FilteredBadge onReset={onResetFilters} />}
+          </div>
           <p className="mt-2 text-3xl font-semibold text-slate-900">{card.value}</p>
           {card.delta != null && card.deltaLabel ? (
             <p className={`mt-2 text-xs font-medium ${card.delta >= 0 ? "text-emerald-600" : "text-rose-600"}`}>
@@ -384,28 +1378,60 @@ function KPICards({ cards }) {
   );
 }
 
-function PerformanceCard({ data }) {
+function PerformanceCard({
+  data,
+  title = "Performance overview",
+  subtitle = "Monthly sentiment mix",
+  yearActive,
+  onToggleYear,
+  onResetFilters,
+  anomalies = [],
+}) {
+  const flaggedMonths = [...new Set(anomalies.map((anomaly) => anomaly.monthKey))];
   return (
     <div className="rounded-2xl border bg-white p-4 shadow-sm">
-      <div className="flex items-center justify-between">
+      <div className="flex items-center justify-between gap-3">
         <div>
-          <p className="text-sm font-semibold text-slate-900">Performance overview</p>
-          <p className="text-xs text-slate-500">Monthly sentiment mix</p>
+          <div className="flex items-center gap-2">
+            <p className="text-sm font-semibold text-slate-900">{title}</p>
+            {onResetFilters && <FilteredBadge onReset={onResetFilters} />}
+          </div>
+          <p className="text-xs text-slate-500">{subtitle}</p>
         </div>
-        <button className="text-xs text-slate-500 rounded-full border px-3 py-1">This year</button>
+        {onToggleYear && (
+          <button
+            type="button"
+            onClick={onToggleYear}
+            className={`text-xs rounded-full border px-3 py-1 ${
+              yearActive ? "bg-indigo-600 text-white border-indigo-600" : "text-slate-500"
+            }`}
+          >
+            This year
+          </button>
+        )}
       </div>
       <div className="h-72 mt-4">
         {data.length ? (
           <ResponsiveContainer>
             <BarChart data={data} barSize={14}>
               <CartesianGrid strokeDasharray="3 3" vertical={false} />
-              <XAxis dataKey="month" axisLine={false} tickLine={false} />
+              {/* Keyed by month so two Novembers in a year-plus of data stay apart. */}
+              <XAxis dataKey="monthKey" tickFormatter={formatMonthKey("MMM")} axisLine={false} tickLine={false} />
               <YAxis axisLine={false} tickLine={false} />
-              <Tooltip />
+              <Tooltip labelFormatter={formatMonthKey("MMM yyyy")} />
               <Legend formatter={(value) => <span className="text-xs text-slate-500">{value}</span>} />
               <Bar dataKey="positive" stackId="sentiment" name="Positive" fill="#2563eb" radius={[4, 4, 0, 0]} />
               <Bar dataKey="neutral" stackId="sentiment" name="Neutral" fill="#38bdf8" radius={[4, 4, 0, 0]} />
               <Bar dataKey="negative" stackId="sentiment" name="Negative" fill="#f97316" radius={[4, 4, 0, 0]} />
+              {flaggedMonths.map((monthKey) => (
+                <ReferenceLine
+                  key={monthKey}
+                  x={monthKey}
+                  stroke="#e11d48"
+                  strokeDasharray="4 3"
+                  label={{ value: "⚠", position: "insideTop", fill: "#e11d48", fontSize: 12 }}
+                />
+              ))}
             </BarChart>
           </ResponsiveContainer>
         ) : (
@@ -416,23 +1442,74 @@ function PerformanceCard({ data }) {
   );
 }
 
-function ReviewTrendChart({ data }) {
-  const limited = data.slice(-30);
+function ReviewTrendChart({ reviews, onResetFilters }) {
+  const [granularity, setGranularity] = usePersistentState("trend.granularity", "day");
+  const [storedWindow, setRollingWindow] = usePersistentState("trend.rollingWindow", 0);
+  const spec = trendGranularities[granularity] ?? trendGranularities.day;
+  // The choice is kept for when the chart goes back to days.
+  const rollingWindow = spec.rolls ? storedWindow : 0;
+  const data = useMemo(
+    () => buildChronologicalTrend(reviews, { granularity, window: rollingWindow }),
+    [reviews, granularity, rollingWindow]
+  );
+  // Only the plotted metrics can be marked here; the Anomalies card lists the rest.
+  const anomalies = useMemo(
+    () => (spec.flagsAnomalies ? detectAnomalies(data, { metrics: ["total", "avgRating"] }) : []),
+    [data, spec]
+  );
+  const unit = spec.label.toLowerCase();
   return (
     <div className="rounded-2xl border bg-white p-4 shadow-sm">
-      <div className="flex items-center justify-between">
+      <div className="flex flex-wrap items-start justify-between gap-3">
         <div>
-          <p className="text-sm font-semibold text-slate-900">Review trends</p>
-          <p className="text-xs text-slate-500">Chronological review volume & rating</p>
+          <div className="flex items-center gap-2">
+            <p className="text-sm font-semibold text-slate-900">Review trends</p>
+            {onResetFilters && <FilteredBadge onReset={onResetFilters} />}
+          </div>
+          <p className="text-xs text-slate-500">
+            Review volume & rating per {unit} • {data.length} data points
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="inline-flex rounded-full border p-0.5 text-xs">
+            {Object.entries(trendGranularities).map(([value, option]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setGranularity(value)}
+                className={`rounded-full px-3 py-1 ${granularity === value ? "bg-indigo-600 text-white" : "text-slate-500"}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <label
+            className={`flex items-center gap-2 text-xs ${spec.rolls ? "text-slate-500" : "text-slate-300"}`}
+            title={spec.rolls ? undefined : "Rolling averages are only available for daily buckets"}
+          >
+            Rolling avg
+            <select
+              className="rounded-xl border px-2 py-1 text-xs text-slate-600 disabled:text-slate-300"
+              value={rollingWindow}
+              disabled={!spec.rolls}
+              onChange={(e) => setRollingWindow(Number(e.target.value))}
+            >
+              {rollingWindowOptions.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
         </div>
-        <span className="text-xs text-slate-500">{limited.length} data points</span>
       </div>
-      <div className="h-72 mt-4">
-        {limited.length ? (
+      <div className="h-80 mt-4">
+        {data.length ? (
           <ResponsiveContainer>
-            <LineChart data={limited}>
+            {/* Remounted per bucket size so the brush starts out spanning the whole timeline. */}
+            <LineChart key={`${granularity}:${data.length}`} data={data}>
               <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+              <XAxis dataKey="label" tick={{ fontSize: 12 }} minTickGap={16} />
               <YAxis
                 yAxisId="count"
                 allowDecimals={false}
@@ -448,7 +1525,7 @@ function ReviewTrendChart({ data }) {
                 tickLine={false}
                 tick={{ fontSize: 12 }}
               />
-              <Tooltip />
+              <Tooltip formatter={(value) => (Number.isFinite(value) ? +value.toFixed(2) : value)} />
               <Legend />
               <Line
                 yAxisId="count"
@@ -467,7 +1544,45 @@ function ReviewTrendChart({ data }) {
                 stroke="#f97316"
                 strokeWidth={2}
                 dot={false}
+                connectNulls
               />
+              {rollingWindow > 0 && (
+                <Line
+                  yAxisId="count"
+                  type="monotone"
+                  dataKey="rollingCount"
+                  name={`Reviews (${rollingWindow}-day avg)`}
+                  stroke="#93c5fd"
+                  strokeWidth={2}
+                  strokeDasharray="5 3"
+                  dot={false}
+                />
+              )}
+              {rollingWindow > 0 && (
+                <Line
+                  yAxisId="rating"
+                  type="monotone"
+                  dataKey="rollingRating"
+                  name={`Avg rating (${rollingWindow}-day avg)`}
+                  stroke="#fdba74"
+                  strokeWidth={2}
+                  strokeDasharray="5 3"
+                  dot={false}
+                  connectNulls
+                />
+              )}
+              {anomalies.map((anomaly) => (
+                <ReferenceDot
+                  key={`${anomaly.metric}:${anomaly.index}`}
+                  x={data[anomaly.index].label}
+                  y={anomaly.value}
+                  yAxisId={anomaly.metric === "avgRating" ? "rating" : "count"}
+                  r={5}
+                  fill="#e11d48"
+                  stroke="#fff"
+                />
+              ))}
+              <Brush dataKey="label" height={24} travellerWidth={8} stroke="#6366f1" />
             </LineChart>
           </ResponsiveContainer>
         ) : (
@@ -476,20 +1591,40 @@ function ReviewTrendChart({ data }) {
           </div>
         )}
       </div>
+      {!spec.flagsAnomalies && (
+        <p className="mt-2 text-[11px] text-slate-400">Switch to months or quarters to mark unusual points.</p>
+      )}
+      {anomalies.length > 0 && (
+        <p className="mt-2 text-[11px] text-slate-400">
+          Red dots mark {anomalies.length} unusual {anomalies.length === 1 ? "point" : "points"}: review volume or
+          average rating well outside the preceding {unit}s.
+        </p>
+      )}
+      {rollingWindow > 0 && (
+        <p className="mt-2 text-[11px] text-slate-400">
+          Rolling averages cover the {rollingWindow} days up to and including each day.
+        </p>
+      )}
     </div>
   );
 }
 
-function SentimentSummary({ sentimentCounts, totalReviews }) {
+function SentimentSummary({ sentimentCounts, totalReviews, languageCounts, activeLanguages, onToggleLanguage, onResetFilters }) {
   const rows = [
     { label: "Positive", value: sentimentCounts.positive, color: "bg-emerald-500" },
     { label: "Neutral", value: sentimentCounts.neutral, color: "bg-slate-400" },
     { label: "Negative", value: sentimentCounts.negative, color: "bg-rose-500" },
   ];
+  if (sentimentCounts.unscored) {
+    rows.push({ label: "Unscored", value: sentimentCounts.unscored, color: "bg-slate-200" });
+  }
   return (
     <div className="rounded-2xl border bg-white p-5 shadow-sm flex flex-col gap-4">
       <div>
-        <p className="text-sm font-semibold text-slate-900">Distribution</p>
+        <div className="flex items-center gap-2">
+          <p className="text-sm font-semibold text-slate-900">Distribution</p>
+          {onResetFilters && <FilteredBadge onReset={onResetFilters} />}
+        </div>
         <p className="text-xs text-slate-500">Breakdown of sentiment labels this period</p>
       </div>
       <div className="space-y-3">
@@ -510,81 +1645,650 @@ function SentimentSummary({ sentimentCounts, totalReviews }) {
           );
         })}
       </div>
+      {languageCounts?.length > 0 && (
+        <div className="border-t pt-3">
+          <p className="text-xs uppercase tracking-wide text-slate-400 mb-2">Languages</p>
+          <div className="flex flex-wrap gap-2">
+            {languageCounts.map(({ language, count }) => (
+              <button
+                key={language}
+                type="button"
+                title={languageNames[language] ?? language}
+                onClick={() => onToggleLanguage(language)}
+                className={`rounded-full px-3 py-1 text-xs font-medium ${
+                  activeLanguages.includes(language) ? "bg-indigo-600 text-white" : "bg-slate-100 text-slate-600"
+                }`}
+              >
+                {language.toUpperCase()} {count}
+              </button>
+            ))}
+          </div>
+          <p className="mt-2 text-[11px] text-slate-400">Only English reviews get a sentiment score.</p>
+        </div>
+      )}
     </div>
   );
 }
 
-function RecentReviewsCard({ reviews }) {
-  const getInitials = (name) => {
-    if (!name) return "??";
-    return name
-      .split(" ")
-      .map((part) => part[0])
-      .filter(Boolean)
-      .join("")
-      .slice(0, 2)
-      .toUpperCase();
-  };
+function getInitials(name) {
+  if (!name) return "??";
+  return name
+    .split(" ")
+    .map((part) => part[0])
+    .filter(Boolean)
+    .join("")
+    .slice(0, 2)
+    .toUpperCase();
+}
 
-  const sentimentBadge = (label) => {
-    const base = sentimentColors[label] || sentimentColors.neutral;
-    return (
-      <span className={`px-2 py-[2px] rounded-full text-xs font-medium ${base}`}>
-        {label ?? "neutral"}
-      </span>
+const sentimentBadge = (label) => {
+  const base = sentimentColors[label] || sentimentColors.neutral;
+  return (
+    <span className={`px-2 py-[2px] rounded-full text-xs font-medium ${base}`}>
+      {label ?? "neutral"}
+    </span>
+  );
+};
+
+const insufficientDataBadge = (session) =>
+  session.low_confidence && (
+    <span
+      className="rounded-full bg-amber-50 px-2 py-[2px] text-[11px] font-medium text-amber-600 whitespace-nowrap"
+      title={`Only ${session.n_scored ?? session.n_reviews} scored reviews — too few to rank on; compare adjusted values instead`}
+    >
+      insufficient data
+    </span>
+  );
+
+const adjustedCell = (value, interval) => (
+  <div>
+    <div>{value}</div>
+    {interval && <div className="text-[11px] text-slate-400 whitespace-nowrap">{interval}</div>}
+  </div>
+);
+
+const statusPill = (status) => (
+  <span
+    className={`px-2 py-[2px] rounded-full text-xs font-medium ${
+      status === "problematic"
+        ? "bg-rose-100 text-rose-700"
+        : status === "successful"
+        ? "bg-emerald-100 text-emerald-700"
+        : "bg-amber-100 text-amber-700"
+    }`}
+  >
+    {status}
+  </span>
+);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function highlightText(text, query) {
+  const q = query?.trim();
+  if (!text || !q) return text;
+  const parts = text.split(new RegExp(`(${escapeRegExp(q)})`, "gi"));
+  return parts.map((part, index) =>
+    index % 2 === 1 ? (
+      <mark key={index} className="rounded bg-amber-100 px-0.5 text-slate-900">
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
+}
+
+const REVIEW_PREVIEW_LENGTH = 240;
+
+const splitLines = (value) =>
+  value
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+function ReviewOverrideEditor({ review, onSave, onClose }) {
+  const model = review.__model ?? pickOverrideFields(review);
+  const [draft, setDraft] = useState(() => ({
+    sentiment_label: review.sentiment_label ?? "neutral",
+    themes: review.themes ?? [],
+    primary_theme: review.primary_theme ?? "",
+    pain_points: (review.pain_points ?? []).join("\n"),
+    feature_requests: (review.feature_requests ?? []).join("\n"),
+  }));
+  const update = (field, value) => setDraft((prev) => ({ ...prev, [field]: value }));
+
+  const handleSave = () => {
+    const primary = draft.primary_theme || null;
+    const next = {
+      sentiment_label: draft.sentiment_label,
+      themes: primary && !draft.themes.includes(primary) ? [primary, ...draft.themes] : draft.themes,
+      primary_theme: primary,
+      pain_points: splitLines(draft.pain_points),
+      feature_requests: splitLines(draft.feature_requests),
+    };
+    // Only fields that differ from the model are stored, so re-running the pipeline
+    // still updates everything the analyst did not touch.
+    const patch = Object.fromEntries(
+      Object.entries(next).filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(model[field] ?? null))
     );
+    onSave(Object.keys(patch).length ? patch : null);
+    onClose();
   };
 
+  return (
+    <div className="mt-2 rounded-xl border border-slate-200 bg-slate-50 p-3 space-y-3">
+      <FilterGroup
+        title="Sentiment"
+        options={sentimentOptions.filter((option) => option.value !== "all")}
+        value={draft.sentiment_label}
+        onChange={(value) => update("sentiment_label", value)}
+      />
+      <MultiFilterGroup
+        title="Themes"
+        options={themeOptions}
+        values={draft.themes}
+        onChange={(values) => update("themes", values)}
+      />
+      <label className="block text-xs text-slate-500">
+        <span className="block uppercase tracking-wide text-slate-400 mb-1">Primary theme</span>
+        <select
+          value={draft.primary_theme}
+          onChange={(e) => update("primary_theme", e.target.value)}
+          className="rounded-lg border border-slate-200 bg-white px-2 py-1 text-sm text-slate-700"
+        >
+          <option value="">None</option>
+          {themeOptions.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {[
+        { field: "pain_points", label: "Pain points" },
+        { field: "feature_requests", label: "Feature requests" },
+      ].map(({ field, label }) => (
+        <label key={field} className="block text-xs text-slate-500">
+          <span className="block uppercase tracking-wide text-slate-400 mb-1">{label} (one per line)</span>
+          <textarea
+            rows={2}
+            value={draft[field]}
+            onChange={(e) => update(field, e.target.value)}
+            className="w-full rounded-lg border border-slate-200 bg-white px-2 py-1 text-sm text-slate-700"
+          />
+        </label>
+      ))}
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        {review.__overrides?.length ? (
+          <button
+            type="button"
+            onClick={() => {
+              onSave(null);
+              onClose();
+            }}
+            className="text-xs font-medium text-indigo-600"
+          >
+            Revert to model labels
+          </button>
+        ) : (
+          <span />
+        )}
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-xl border border-slate-200 px-3 py-1.5 text-xs font-medium text-slate-600"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            className="rounded-xl bg-indigo-600 px-3 py-1.5 text-xs font-medium text-white shadow"
+          >
+            Save labels
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const duplicateMatchLabels = { exact: "Exact copy", fuzzy: "Near-identical", truncated: "Truncated copy" };
+
+const SourceLink = ({ url }) =>
+  url ? (
+    <a href={url} target="_blank" rel="noreferrer" className="text-xs font-medium text-slate-500 hover:text-indigo-600">
+      Source ↗
+    </a>
+  ) : null;
+
+function DuplicateCaptures({ duplicates }) {
+  return (
+    <ul className="mt-2 space-y-2 rounded-xl border border-amber-100 bg-amber-50/50 p-3">
+      {duplicates.map((duplicate) => (
+        <li key={duplicate.review_id} className="space-y-1">
+          <div className="flex flex-wrap items-center gap-2 text-[11px] text-slate-500">
+            <span className="font-medium text-amber-700">{duplicateMatchLabels[duplicate.match] ?? duplicate.match}</span>
+            {Number.isFinite(duplicate.similarity) && duplicate.match !== "exact" && (
+              <span>{Math.round(duplicate.similarity * 100)}% word-pair overlap</span>
+            )}
+            <span>{duplicate.reviewer || "Anonymous"}</span>
+            <code className="font-mono">{duplicate.review_id}</code>
+            <SourceLink url={duplicate.source_url} />
+          </div>
+          <p className="text-xs text-slate-500 line-clamp-2">{duplicate.review_text}</p>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function ReviewListItem({ review, highlight, onSelectSession, onOverride, children }) {
+  const [expanded, setExpanded] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const duplicates = review.duplicates ?? [];
+  const text = review.review_text || "";
+  const collapsible = text.length > REVIEW_PREVIEW_LENGTH;
+  return (
+    <li className="p-5 flex gap-3">
+      <div className="h-10 w-10 rounded-full bg-slate-100 flex items-center justify-center text-sm font-semibold text-slate-600">
+        {getInitials(review.reviewer)}
+      </div>
+      <div className="flex-1 min-w-0 space-y-1">
+        <div className="flex flex-wrap items-center gap-2">
+          <p className="font-medium text-sm text-slate-900">{review.reviewer || "Anonymous"}</p>
+          <span className="text-xs text-slate-400" title={review.review_age}>
+            • {formatReviewDate(review)}
+          </span>
+          {review.sentiment_label && sentimentBadge(review.sentiment_label)}
+          {review.__new && (
+            <span
+              className="rounded-full bg-emerald-50 px-2 py-[2px] text-[11px] font-medium text-emerald-600"
+              title="Not in the baseline snapshot"
+            >
+              new
+            </span>
+          )}
+          {duplicates.length > 0 && (
+            <button
+              type="button"
+              onClick={() => setShowDuplicates((prev) => !prev)}
+              className="rounded-full bg-amber-50 px-2 py-[2px] text-[11px] font-medium text-amber-700"
+              title="The scraper captured this review more than once; the extra copies are not counted"
+            >
+              {duplicates.length + 1} captures
+            </button>
+          )}
+          {review.__overrides?.length > 0 && (
+            <span
+              className="rounded-full bg-violet-50 px-2 py-[2px] text-[11px] font-medium text-violet-600"
+              title={`Manually relabelled: ${review.__overrides.join(", ")}`}
+            >
+              edited
+            </span>
+          )}
+          {review.language && review.language !== "en" && (
+            <span
+              className="rounded-full bg-slate-100 px-2 py-[2px] text-[11px] font-medium uppercase text-slate-500"
+              title={languageNames[review.language] ?? review.language}
+            >
+              {review.language}
+            </span>
+          )}
+          {onSelectSession && review.__session && (
+            <button
+              type="button"
+              onClick={() => onSelectSession(review.session_id)}
+              className="text-xs text-indigo-600 truncate max-w-[240px]"
+            >
+              {formatSessionTitle(review.__session)}
+            </button>
+          )}
+        </div>
+        <p className="text-xs text-amber-500">
+          {"★".repeat(Math.round(review.rating || 0)).padEnd(5, "☆")}
+        </p>
+        <p className={`text-sm text-slate-600 whitespace-pre-line ${expanded ? "" : "line-clamp-3"}`}>
+          {highlightText(text, highlight)}
+        </p>
+        <div className="flex gap-3">
+          {collapsible && (
+            <button
+              type="button"
+              onClick={() => setExpanded((prev) => !prev)}
+              className="text-xs font-medium text-indigo-600"
+            >
+              {expanded ? "Show less" : "Show full review"}
+            </button>
+          )}
+          {onOverride && !editing && (
+            <button type="button" onClick={() => setEditing(true)} className="text-xs font-medium text-slate-500">
+              Edit labels
+            </button>
+          )}
+          <SourceLink url={review.source_url} />
+        </div>
+        {showDuplicates && <DuplicateCaptures duplicates={duplicates} />}
+        {editing && (
+          <ReviewOverrideEditor
+            review={review}
+            onSave={(patch) => onOverride(review.review_id, patch)}
+            onClose={() => setEditing(false)}
+          />
+        )}
+        {children}
+      </div>
+    </li>
+  );
+}
+
+function RecentReviewsCard({ reviews, onResetFilters, onOverride }) {
   return (
     <div className="rounded-2xl border bg-white shadow-sm overflow-hidden">
       <div className="p-5 border-b">
-        <p className="text-sm font-semibold text-slate-900">Recent reviews</p>
+        <div className="flex items-center gap-2">
+          <p className="text-sm font-semibold text-slate-900">Recent reviews</p>
+          {onResetFilters && <FilteredBadge onReset={onResetFilters} />}
+        </div>
         <p className="text-xs text-slate-500">Latest mentions across all sources</p>
       </div>
       <ul className="divide-y">
         {reviews.map((review) => (
-          <li key={review.review_id} className="p-5 flex gap-3">
-            <div className="h-10 w-10 rounded-full bg-slate-100 flex items-center justify-center text-sm font-semibold text-slate-600">
-              {getInitials(review.reviewer)}
-            </div>
-            <div className="flex-1 min-w-0 space-y-1">
+          <ReviewListItem key={review.review_id} review={review} onOverride={onOverride} />
+        ))}
+        {!reviews.length && (
+          <li className="p-5 text-sm text-slate-500">No reviews captured yet.</li>
+        )}
+      </ul>
+    </div>
+  );
+}
+
+const ANOMALY_LIST_LENGTH = 6;
+
+function AnomaliesCard({ anomalies, subtitle, onOpenReviews, onSelectSession, onResetFilters }) {
+  const [expanded, setExpanded] = useState(false);
+  const shown = expanded ? anomalies : anomalies.slice(0, ANOMALY_LIST_LENGTH);
+  return (
+    <div className="rounded-2xl border bg-white shadow-sm overflow-hidden">
+      <div className="p-5 border-b">
+        <div className="flex items-center gap-2">
+          <p className="text-sm font-semibold text-slate-900">Anomalies</p>
+          {onResetFilters && <FilteredBadge onReset={onResetFilters} />}
+        </div>
+        <p className="text-xs text-slate-500">{subtitle}</p>
+      </div>
+      <ul className="divide-y">
+        {shown.map((anomaly) => (
+          <li key={anomaly.id} className="p-4 flex flex-wrap items-center justify-between gap-3">
+            <div className="min-w-0">
               <div className="flex flex-wrap items-center gap-2">
-                <p className="font-medium text-sm text-slate-900">{review.reviewer || "Anonymous"}</p>
-                <span className="text-xs text-slate-400">• {formatFriendlyDate(review.review_date, "Unknown date")}</span>
-                {review.sentiment_label && sentimentBadge(review.sentiment_label)}
+                <span
+                  className={`rounded-full px-2 py-[2px] text-[11px] font-medium ${
+                    anomaly.direction === "spike" ? "bg-rose-50 text-rose-600" : "bg-amber-50 text-amber-600"
+                  }`}
+                >
+                  {anomaly.direction}
+                </span>
+                <span className="text-xs font-medium text-slate-500">{formatMonthKey("MMM yyyy")(anomaly.monthKey)}</span>
+                {anomaly.session_id ? (
+                  <button
+                    type="button"
+                    onClick={() => onSelectSession?.(anomaly.session_id)}
+                    className="text-xs text-indigo-600 truncate max-w-[260px]"
+                  >
+                    {anomaly.session_title}
+                  </button>
+                ) : (
+                  <span className="text-xs text-slate-400">All sessions</span>
+                )}
               </div>
-              <p className="text-xs text-amber-500">
-                {"★".repeat(Math.round(review.rating || 0)).padEnd(5, "☆")}
-              </p>
-              <p className="text-sm text-slate-600 line-clamp-3">{review.review_text}</p>
+              <p className="mt-1 text-sm text-slate-700">{describeAnomaly(anomaly)}</p>
             </div>
+            <button
+              type="button"
+              onClick={() => onOpenReviews(anomaly)}
+              className="rounded-xl border border-slate-200 px-3 py-1 text-xs font-medium text-slate-600"
+            >
+              Reviews →
+            </button>
           </li>
         ))}
-        {!reviews.length && (
-          <li className="p-5 text-sm text-slate-500">No reviews captured yet.</li>
-        )}
+        {!anomalies.length && <li className="p-5 text-sm text-slate-500">Nothing out of the ordinary.</li>}
+      </ul>
+      {anomalies.length > ANOMALY_LIST_LENGTH && (
+        <div className="p-4 border-t">
+          <button type="button" onClick={() => setExpanded((prev) => !prev)} className="text-xs font-medium text-indigo-600">
+            {expanded ? "Show fewer" : `Show all ${anomalies.length}`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ReviewExplorer({
+  reviews,
+  phrase,
+  query,
+  onQueryChange,
+  sortBy,
+  onSortChange,
+  onSelectSession,
+  onResetFilters,
+  onOverride,
+}) {
+  const [page, setPage] = useState(0);
+  const matches = useMemo(() => sortReviews(searchReviews(reviews, query), sortBy), [reviews, query, sortBy]);
+  const pageCount = Math.ceil(matches.length / REVIEWS_PAGE_SIZE);
+  const currentPage = Math.min(page, Math.max(0, pageCount - 1));
+  const pageReviews = matches.slice(currentPage * REVIEWS_PAGE_SIZE, (currentPage + 1) * REVIEWS_PAGE_SIZE);
+  const duplicateCount = reviews.reduce((sum, review) => sum + (review.duplicates?.length ?? 0), 0);
+
+  return (
+    <div className="rounded-2xl border bg-white shadow-sm overflow-hidden">
+      <div className="p-5 border-b flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+        <div>
+          <div className="flex items-center gap-2">
+            <p className="text-sm font-semibold text-slate-900">Review explorer</p>
+            {onResetFilters && <FilteredBadge onReset={onResetFilters} />}
+          </div>
+          <p className="text-xs text-slate-500">
+            {matches.length} of {reviews.length} reviews match
+            {duplicateCount > 0 && ` • ${duplicateCount} duplicate captures folded`}
+          </p>
+        </div>
+        <div className="flex flex-col gap-2 sm:flex-row">
+          <input
+            className="w-full sm:w-64 rounded-xl border px-3 py-2 text-sm"
+            placeholder="Search review text…"
+            value={query}
+            onChange={(e) => {
+              onQueryChange(e.target.value);
+              setPage(0);
+            }}
+          />
+          <select
+            className="rounded-xl border px-3 py-2 text-sm text-slate-600"
+            value={`${sortBy.key}:${sortBy.dir}`}
+            onChange={(e) => {
+              const [key, dir] = e.target.value.split(":");
+              onSortChange({ key, dir });
+              setPage(0);
+            }}
+          >
+            {reviewSortOptions.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <ul className="divide-y">
+        {pageReviews.map((review) => (
+          <ReviewListItem
+            key={review.review_id}
+            review={review}
+            highlight={query || phrase}
+            onSelectSession={onSelectSession}
+            onOverride={onOverride}
+          />
+        ))}
+        {!matches.length && <li className="p-5 text-sm text-slate-500">No reviews match the current filters.</li>}
       </ul>
+      <Pagination page={currentPage} pageCount={pageCount} onPageChange={setPage} />
+    </div>
+  );
+}
+
+const attentionBarColor = (score, bands = DEFAULT_RULES.bands) =>
+  score >= bands.high ? "bg-rose-500" : score >= bands.medium ? "bg-amber-500" : "bg-emerald-500";
+
+const sessionColumns = [
+  { key: "n_reviews", label: "# Reviews", render: (s) => s.n_reviews },
+  { key: "avg_rating", label: "Avg Rating", render: (s) => s.avg_rating ?? "—" },
+  { key: "avg_sentiment", label: "Avg Sentiment", render: (s) => formatSentiment(s.avg_sentiment) },
+  { key: "pct_negative", label: "% Negative", render: (s) => formatShare(s.pct_negative) },
+  {
+    key: "avg_rating_adjusted",
+    label: "Adj. Rating",
+    render: (s) =>
+      adjustedCell(
+        formatRating(s.avg_rating_adjusted),
+        formatInterval(s.avg_rating_low, s.avg_rating_high, formatRating)
+      ),
+  },
+  {
+    key: "pct_negative_adjusted",
+    label: "Adj. % Negative",
+    render: (s) =>
+      adjustedCell(
+        formatShare(s.pct_negative_adjusted),
+        formatInterval(s.pct_negative_low, s.pct_negative_high, formatShare)
+      ),
+  },
+  { key: "last_review_date", label: "Last Review", render: (s) => formatFriendlyDate(s.lastReviewDate) },
+  {
+    key: "attention_score",
+    label: "Attention",
+    render: (s, { bands }) => (
+      <div className="inline-flex items-center gap-2">
+        <span className="text-sm font-semibold">{s.attention_score}</span>
+        <div className="h-2 w-24 rounded bg-slate-200 overflow-hidden">
+          <div
+            className={`h-full ${attentionBarColor(s.attention_score, bands)}`}
+            style={{ width: `${s.attention_score}%` }}
+          />
+        </div>
+      </div>
+    ),
+  },
+  ...themeOptions.map((theme) => ({
+    key: `themes.${theme.value}`,
+    label: theme.label,
+    render: (s) => s.themes?.[theme.value] ?? 0,
+  })),
+  { key: "n_feature_requests", label: "Feature requests", render: (s) => s.n_feature_requests },
+  {
+    key: "main_themes",
+    label: "Main themes",
+    sortable: false,
+    render: (s) =>
+      Object.entries(s.themes || {})
+        .filter(([, v]) => v > 0)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([k]) => chip(k)),
+  },
+  { key: "status", label: "Status", render: (s) => statusPill(s.status) },
+];
+const sortableSessionKeys = sessionColumns.filter((column) => column.sortable !== false).map((column) => column.key);
+
+function getSessionSortValue(row, key) {
+  if (key === "last_review_date") return row.lastReviewDate ? row.lastReviewDate.getTime() : 0;
+  if (key.startsWith("themes.")) return row.themes?.[key.slice("themes.".length)] ?? 0;
+  return row[key] ?? 0;
+}
+
+function compareSessions(a, b, sortBy) {
+  for (const { key, dir } of sortBy) {
+    const va = getSessionSortValue(a, key);
+    const vb = getSessionSortValue(b, key);
+    const diff = typeof va === "string" && typeof vb === "string" ? va.localeCompare(vb) : va - vb;
+    if (diff) return dir === "asc" ? diff : -diff;
+  }
+  return 0;
+}
+
+function ColumnPicker({ hiddenColumns, onChange }) {
+  const [open, setOpen] = useState(false);
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen((prev) => !prev)}
+        className="rounded-xl border border-slate-200 px-3 py-2 text-sm font-medium text-slate-600"
+      >
+        Columns
+      </button>
+      {open && (
+        <div className="absolute right-0 top-full mt-2 w-56 rounded-2xl border border-slate-200 bg-white p-3 shadow-xl z-20 space-y-1">
+          {sessionColumns.map((column) => (
+            <label key={column.key} className="flex items-center gap-2 text-sm text-slate-600">
+              <input
+                type="checkbox"
+                checked={!hiddenColumns.includes(column.key)}
+                onChange={(e) =>
+                  onChange(
+                    e.target.checked
+                      ? hiddenColumns.filter((key) => key !== column.key)
+                      : [...hiddenColumns, column.key]
+                  )
+                }
+              />
+              {column.label}
+            </label>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
 
-function SessionsTable({ sessions, statusFilter }) {
-  const [query, setQuery] = useState("");
-  const [sortBy, setSortBy] = useState({ key: "attention_score", dir: "desc" });
+function SessionsTable({
+  sessions,
+  scope,
+  onScopeChange,
+  query,
+  onQueryChange,
+  sortBy,
+  onSortChange,
+  onSelectSession,
+  bands,
+  onResetFilters,
+}) {
+  const [hiddenColumns, setHiddenColumns] = usePersistentState("sessionsTable.hiddenColumns", []);
+  const columns = sessionColumns.filter((column) => !hiddenColumns.includes(column.key));
 
   const rows = useMemo(() => {
     return sessions
-      .filter((session) => attentionStatuses.has(session.status))
-      .filter((session) => (statusFilter === "all" ? true : session.status === statusFilter))
+      .filter((session) => scope === "all" || attentionStatuses.has(session.status))
       .map((session) => {
         const lastReviewDate = getLatestReviewDate(session.reviews || []);
         return {
           ...session,
           lastReviewDate,
           displayTitle: formatSessionTitle(session),
+          n_feature_requests: (session.reviews || []).reduce(
+            (sum, review) => sum + (review.feature_requests?.length || 0),
+            0
+          ),
         };
       });
-  }, [sessions, statusFilter]);
+  }, [sessions, scope]);
 
   const filtered = useMemo(() => {
     const q = query.trim().toLowerCase();
@@ -593,41 +2297,73 @@ function SessionsTable({ sessions, statusFilter }) {
       arr = arr.filter((s) => {
         const title = s.displayTitle?.toLowerCase() ?? "";
         const id = s.session_id?.toLowerCase() ?? "";
-        return title.includes(q) || id.includes(q);
+        const presenter = s.presenter?.toLowerCase() ?? "";
+        return title.includes(q) || id.includes(q) || presenter.includes(q);
       });
     }
-
-    const dir = sortBy.dir === "asc" ? 1 : -1;
-    arr.sort((a, b) => {
-      const getValue = (item) => {
-        if (sortBy.key === "last_review_date") {
-          return item.lastReviewDate ? item.lastReviewDate.getTime() : 0;
-        }
-        return item[sortBy.key] ?? 0;
-      };
-      const va = getValue(a);
-      const vb = getValue(b);
-      if (typeof va === "string" && typeof vb === "string") return va.localeCompare(vb) * dir;
-      return (va - vb) * dir;
-    });
-    return arr;
+    return arr.sort((a, b) => compareSessions(a, b, sortBy));
   }, [rows, query, sortBy]);
 
-  const setSort = (key) => setSortBy((s) => ({ key, dir: s.key === key && s.dir === "desc" ? "asc" : "desc" }));
+  // A plain click sorts by that column alone; shift-click adds it as a tie-breaker.
+  const setSort = (key, additive) => {
+    const existing = sortBy.find((entry) => entry.key === key);
+    const next = { key, dir: existing?.dir === "desc" ? "asc" : "desc" };
+    if (!additive) onSortChange([next]);
+    else onSortChange(existing ? sortBy.map((entry) => (entry.key === key ? next : entry)) : [...sortBy, next]);
+  };
+
+  const sortIndicator = (key) => {
+    const index = sortBy.findIndex((entry) => entry.key === key);
+    if (index === -1) return null;
+    return (
+      <span className="ml-1 text-xs text-slate-400">
+        {sortBy[index].dir === "asc" ? "▲" : "▼"}
+        {sortBy.length > 1 ? index + 1 : ""}
+      </span>
+    );
+  };
 
   return (
     <div className="rounded-2xl border bg-white shadow-sm p-5">
       <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between mb-4">
         <div>
-          <p className="text-sm font-semibold text-slate-900">Sessions needing attention</p>
-          <p className="text-xs text-slate-500">Sort by sentiment, rating, or attention score</p>
-        </div>
-        <input
-          className="w-full md:w-64 rounded-xl border px-3 py-2 text-sm"
-          placeholder="Search sessions…"
-          value={query}
-          onChange={(e) => setQuery(e.target.value)}
-        />
+          <div className="flex items-center gap-2">
+            <p className="text-sm font-semibold text-slate-900">
+              {scope === "all" ? "All sessions" : "Sessions needing attention"}
+            </p>
+            {onResetFilters && <FilteredBadge onReset={onResetFilters} />}
+          </div>
+          <p className="text-xs text-slate-500">
+            Click a header to sort, shift-click to add a secondary sort. Click a row to open it. Adjusted values
+            pull low-volume sessions towards the overall average; the range below each is its 95% interval.
+          </p>
+        </div>
+        <div className="flex flex-col gap-2 sm:flex-row sm:items-center">
+          <div className="inline-flex rounded-xl border border-slate-200 p-0.5 text-sm">
+            {[
+              { label: "Needs attention", value: "attention" },
+              { label: "All sessions", value: "all" },
+            ].map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => onScopeChange(option.value)}
+                className={`rounded-lg px-3 py-1.5 font-medium ${
+                  scope === option.value ? "bg-indigo-600 text-white" : "text-slate-600"
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <ColumnPicker hiddenColumns={hiddenColumns} onChange={setHiddenColumns} />
+          <input
+            className="w-full md:w-64 rounded-xl border px-3 py-2 text-sm"
+            placeholder="Search sessions…"
+            value={query}
+            onChange={(e) => onQueryChange(e.target.value)}
+          />
+        </div>
       </div>
 
       <div className="overflow-x-auto rounded-2xl border bg-white">
@@ -635,79 +2371,53 @@ function SessionsTable({ sessions, statusFilter }) {
           <thead className="bg-slate-50 text-slate-600">
             <tr>
               <th className="p-3 text-left">Session</th>
-              <th className="p-3 text-left cursor-pointer" onClick={() => setSort("n_reviews")}>
-                # Reviews
-              </th>
-              <th className="p-3 text-left cursor-pointer" onClick={() => setSort("avg_rating")}>
-                Avg Rating
-              </th>
-              <th className="p-3 text-left cursor-pointer" onClick={() => setSort("avg_sentiment")}>
-                Avg Sentiment
-              </th>
-              <th className="p-3 text-left cursor-pointer" onClick={() => setSort("pct_negative")}>
-                % Negative
-              </th>
-              <th className="p-3 text-left cursor-pointer" onClick={() => setSort("last_review_date")}>
-                Last Review
-              </th>
-              <th className="p-3 text-left cursor-pointer" onClick={() => setSort("attention_score")}>
-                Attention
-              </th>
-              <th className="p-3 text-left">Main themes</th>
-              <th className="p-3 text-left">Status</th>
+              {columns.map((column) =>
+                column.sortable === false ? (
+                  <th key={column.key} className="p-3 text-left">
+                    {column.label}
+                  </th>
+                ) : (
+                  <th
+                    key={column.key}
+                    className="p-3 text-left cursor-pointer whitespace-nowrap select-none"
+                    onClick={(e) => setSort(column.key, e.shiftKey)}
+                  >
+                    {column.label}
+                    {sortIndicator(column.key)}
+                  </th>
+                )
+              )}
             </tr>
           </thead>
           <tbody>
             {filtered.map((s) => (
-              <tr key={s.session_id} className="border-t">
+              <tr
+                key={s.session_id}
+                className="border-t cursor-pointer hover:bg-slate-50"
+                onClick={() => onSelectSession(s.session_id)}
+              >
                 <td className="p-3 max-w-[260px]">
                   <div className="font-medium line-clamp-2 text-slate-900">{s.displayTitle}</div>
-                  <div className="text-xs text-slate-500">{s.session_id}</div>
-                </td>
-                <td className="p-3">{s.n_reviews}</td>
-                <td className="p-3">{s.avg_rating ?? "—"}</td>
-                <td className="p-3">{s.avg_sentiment.toFixed(2)}</td>
-                <td className="p-3">{prettyPercent(s.pct_negative * 100)}</td>
-                <td className="p-3">{formatFriendlyDate(s.lastReviewDate)}</td>
-                <td className="p-3">
-                  <div className="inline-flex items-center gap-2">
-                    <span className="text-sm font-semibold">{s.attention_score}</span>
-                    <div className="h-2 w-24 rounded bg-slate-200 overflow-hidden">
-                      <div
-                        className={`h-full ${
-                          s.attention_score >= 70
-                            ? "bg-rose-500"
-                            : s.attention_score >= 40
-                            ? "bg-amber-500"
-                            : "bg-emerald-500"
-                        }`}
-                        style={{ width: `${s.attention_score}%` }}
-                      />
-                    </div>
+                  <div className="flex flex-wrap items-center gap-2">
+                    {s.presenter && <span className="text-xs font-medium text-slate-600">{s.presenter}</span>}
+                    <span className="text-xs text-slate-500">{s.session_id}</span>
+                    {insufficientDataBadge(s)}
                   </div>
                 </td>
-                <td className="p-3">
-                  {Object.entries(s.themes || {})
-                    .filter(([, v]) => v > 0)
-                    .sort((a, b) => b[1] - a[1])
-                    .slice(0, 3)
-                    .map(([k]) => chip(k))}
-                </td>
-                <td className="p-3">
-                  <span
-                    className={`px-2 py-[2px] rounded-full text-xs font-medium ${
-                      s.status === "problematic"
-                        ? "bg-rose-100 text-rose-700"
-                        : s.status === "successful"
-                        ? "bg-emerald-100 text-emerald-700"
-                        : "bg-amber-100 text-amber-700"
-                    }`}
-                  >
-                    {s.status}
-                  </span>
-                </td>
+                {columns.map((column) => (
+                  <td key={column.key} className="p-3">
+                    {column.render(s, { bands })}
+                  </td>
+                ))}
               </tr>
             ))}
+            {!filtered.length && (
+              <tr>
+                <td colSpan={columns.length + 1} className="p-5 text-sm text-slate-500">
+                  No sessions match.
+                </td>
+              </tr>
+            )}
           </tbody>
         </table>
       </div>
@@ -715,41 +2425,2395 @@ function SessionsTable({ sessions, statusFilter }) {
   );
 }
 
-export default function App() {
-  const { sessions, error, loading } = useSessions();
-  const [activeView, setActiveView] = useState("dashboard");
-  const [filtersOpen, setFiltersOpen] = useState(false);
-  const [filters, setFilters] = useState({ sentiment: "all", status: "all" });
-  const [toast, setToast] = useState(null);
+const REVIEWS_PAGE_SIZE = 10;
 
-  const allReviews = useMemo(() => getAllReviews(sessions), [sessions]);
-  const filteredReviews = useMemo(() => {
-    if (filters.sentiment === "all") return allReviews;
-    return allReviews.filter((review) => (review.sentiment_label || "neutral") === filters.sentiment);
-  }, [allReviews, filters.sentiment]);
-  const dateRangeLabel = useMemo(() => getDateRangeLabel(allReviews), [allReviews]);
-  const sentimentCounts = useMemo(() => {
-    return filteredReviews.reduce(
-      (acc, review) => {
-        acc[review.sentiment_label || "neutral"] += 1;
-        return acc;
-      },
-      { positive: 0, neutral: 0, negative: 0 }
-    );
-  }, [filteredReviews]);
-  const totalReviews = allReviews.length;
-  const filteredTotalReviews = filteredReviews.length;
-  const avgRating = useMemo(() => {
-    const values = allReviews
-      .map((r) => (Number.isFinite(r.rating) ? Number(r.rating) : null))
-      .filter((v) => v != null);
-    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
-  }, [allReviews]);
-  const monthlyTrend = useMemo(() => buildMonthlyTrend(allReviews), [allReviews]);
-  const chronologicalTrend = useMemo(() => buildChronologicalTrend(filteredReviews), [filteredReviews]);
-  const recentReviews = useMemo(() => {
-    return [...filteredReviews]
-      .filter((r) => r.review_text)
+function Pagination({ page, pageCount, onPageChange }) {
+  if (pageCount <= 1) return null;
+  return (
+    <div className="flex items-center justify-between p-4 border-t text-sm text-slate-600">
+      <button
+        type="button"
+        disabled={page === 0}
+        onClick={() => onPageChange(page - 1)}
+        className="rounded-xl border border-slate-200 px-3 py-1 disabled:opacity-40"
+      >
+        Previous
+      </button>
+      <span className="text-xs text-slate-500">
+        Page {page + 1} of {pageCount}
+      </span>
+      <button
+        type="button"
+        disabled={page >= pageCount - 1}
+        onClick={() => onPageChange(page + 1)}
+        className="rounded-xl border border-slate-200 px-3 py-1 disabled:opacity-40"
+      >
+        Next
+      </button>
+    </div>
+  );
+}
+
+function RatingHistogramCard({ reviews }) {
+  const data = useMemo(() => buildRatingHistogram(reviews), [reviews]);
+  return (
+    <div className="rounded-2xl border bg-white p-4 shadow-sm">
+      <p className="text-sm font-semibold text-slate-900">Rating distribution</p>
+      <p className="text-xs text-slate-500">Reviews per star rating</p>
+      <div className="h-72 mt-4">
+        <ResponsiveContainer>
+          <BarChart data={data} barSize={24}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="label" axisLine={false} tickLine={false} />
+            <YAxis allowDecimals={false} axisLine={false} tickLine={false} />
+            <Tooltip />
+            <Bar dataKey="count" name="Reviews" fill="#f59e0b" radius={[4, 4, 0, 0]} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+function InsightListCard({ title, subtitle, items, emptyLabel }) {
+  return (
+    <div className="rounded-2xl border bg-white shadow-sm overflow-hidden">
+      <div className="p-5 border-b">
+        <p className="text-sm font-semibold text-slate-900">{title}</p>
+        <p className="text-xs text-slate-500">{subtitle}</p>
+      </div>
+      <ul className="divide-y">
+        {items.map((item) => (
+          <li key={item.text} className="p-4 flex items-start justify-between gap-3 text-sm">
+            <p className="text-slate-600">{item.text}</p>
+            <span className="shrink-0 rounded-full bg-slate-100 px-2 py-[2px] text-xs font-medium text-slate-700">
+              ×{item.count}
+            </span>
+          </li>
+        ))}
+        {!items.length && <li className="p-4 text-sm text-slate-500">{emptyLabel}</li>}
+      </ul>
+    </div>
+  );
+}
+
+function SessionDetail({ session, onBack, onOverride, watched, onToggleWatch, onOpenAnomaly }) {
+  const [page, setPage] = useState(0);
+  const reviews = useMemo(() => {
+    return [...(session.reviews || [])].sort((a, b) => {
+      const da = a.review_date ? Date.parse(a.review_date) : 0;
+      const db = b.review_date ? Date.parse(b.review_date) : 0;
+      return db - da;
+    });
+  }, [session]);
+  const monthlyTrend = useMemo(() => buildMonthlyTrend(reviews, { fillGaps: true }), [reviews]);
+  const anomalies = useMemo(() => findMonthlyAnomalies(reviews, session).sort(newestAnomalyFirst), [reviews, session]);
+  const themeRows = Object.entries(session.themes || {}).sort((a, b) => b[1] - a[1]);
+  const maxTheme = Math.max(1, ...themeRows.map(([, count]) => count));
+  const pageCount = Math.ceil(reviews.length / REVIEWS_PAGE_SIZE);
+  const pageReviews = reviews.slice(page * REVIEWS_PAGE_SIZE, (page + 1) * REVIEWS_PAGE_SIZE);
+
+  const stats = [
+    { label: "Reviews", value: session.n_reviews },
+    {
+      label: "Avg rating",
+      value: session.avg_rating ?? "—",
+      support:
+        session.avg_rating_adjusted != null &&
+        `adj. ${formatRating(session.avg_rating_adjusted)} (${formatInterval(
+          session.avg_rating_low,
+          session.avg_rating_high,
+          formatRating
+        )})`,
+    },
+    { label: "Avg sentiment", value: formatSentiment(session.avg_sentiment) },
+    {
+      label: "% Negative",
+      value: formatShare(session.pct_negative),
+      support:
+        session.pct_negative_adjusted != null &&
+        `adj. ${formatShare(session.pct_negative_adjusted)} (${formatInterval(
+          session.pct_negative_low,
+          session.pct_negative_high,
+          formatShare
+        )})`,
+    },
+    { label: "Attention", value: session.attention_score },
+  ];
+
+  return (
+    <>
+      <div className="rounded-2xl border bg-white p-5 shadow-sm">
+        <button type="button" onClick={onBack} className="text-xs font-medium text-indigo-600">
+          ← Back to reviews
+        </button>
+        <div className="mt-3 flex flex-wrap items-center gap-3">
+          <h2 className="text-xl font-semibold text-slate-900">{formatSessionTitle(session)}</h2>
+          {statusPill(session.status)}
+          {insufficientDataBadge(session)}
+          {onToggleWatch && (
+            <button
+              type="button"
+              onClick={() => onToggleWatch(session)}
+              className={`rounded-full px-3 py-1 text-xs font-medium ${
+                watched ? "bg-indigo-600 text-white" : "bg-slate-100 text-slate-600"
+              }`}
+              title="Watched sessions raise alerts when they cross an alert rule"
+            >
+              {watched ? "★ Watching" : "☆ Watch"}
+            </button>
+          )}
+        </div>
+        <p className="text-xs text-slate-500">
+          {session.presenter && (
+            <span className="font-medium text-slate-600">
+              {[session.presenter, formatRole(session.presenter_role)].filter(Boolean).join(", ")} •{" "}
+            </span>
+          )}
+          {session.session_id}
+        </p>
+        <div className="mt-4 grid gap-4 grid-cols-2 md:grid-cols-5">
+          {stats.map((stat) => (
+            <div key={stat.label}>
+              <p className="text-xs uppercase tracking-wide text-slate-500">{stat.label}</p>
+              <p className="mt-1 text-lg font-semibold text-slate-900">{stat.value}</p>
+              {stat.support && <p className="text-[11px] text-slate-400">{stat.support}</p>}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid gap-6 xl:grid-cols-[2fr,1fr]">
+        <PerformanceCard
+          data={monthlyTrend}
+          title="Sentiment trend"
+          subtitle="Monthly sentiment mix for this session"
+          anomalies={anomalies}
+        />
+        <RatingHistogramCard reviews={reviews} />
+      </div>
+
+      {anomalies.length > 0 && (
+        <AnomaliesCard
+          anomalies={anomalies}
+          subtitle="Months where this session's volume, negative reviews, rating or technical mentions broke from its own history"
+          onOpenReviews={onOpenAnomaly}
+        />
+      )}
+
+      <div className="grid gap-6 xl:grid-cols-3">
+        <div className="rounded-2xl border bg-white p-5 shadow-sm">
+          <p className="text-sm font-semibold text-slate-900">Themes</p>
+          <p className="text-xs text-slate-500">Reviews mentioning each theme</p>
+          <div className="mt-4 space-y-3">
+            {themeRows.map(([theme, count]) => (
+              <div key={theme}>
+                <div className="flex items-center justify-between text-sm">
+                  <p className="capitalize">{theme}</p>
+                  <p className="text-slate-500">{count}</p>
+                </div>
+                <div className="mt-1 h-2 rounded-full bg-slate-100 overflow-hidden">
+                  <div className="h-full bg-indigo-500" style={{ width: `${(count / maxTheme) * 100}%` }} />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+        <InsightListCard
+          title="Top pain points"
+          subtitle="Recurring complaints"
+          items={session.top_pain_points || []}
+          emptyLabel="No pain points detected."
+        />
+        <InsightListCard
+          title="Top feature requests"
+          subtitle="What reviewers ask for"
+          items={session.top_feature_requests || []}
+          emptyLabel="No feature requests detected."
+        />
+      </div>
+
+      <div className="rounded-2xl border bg-white shadow-sm overflow-hidden">
+        <div className="p-5 border-b">
+          <p className="text-sm font-semibold text-slate-900">All reviews</p>
+          <p className="text-xs text-slate-500">{reviews.length} reviews, newest first</p>
+        </div>
+        <ul className="divide-y">
+          {pageReviews.map((review) => (
+            <ReviewListItem key={review.review_id} review={review} onOverride={onOverride} />
+          ))}
+          {!reviews.length && <li className="p-5 text-sm text-slate-500">No reviews captured yet.</li>}
+        </ul>
+        <Pagination page={page} pageCount={pageCount} onPageChange={setPage} />
+      </div>
+    </>
+  );
+}
+
+const MAX_COMPARED_SESSIONS = 4;
+const comparisonColors = ["#2563eb", "#f97316", "#10b981", "#a855f7"];
+
+// Lines up each session's monthly trend on a shared month axis, one key per session index.
+function buildComparisonTrend(sessions) {
+  const months = new Map();
+  sessions.forEach((session, index) => {
+    for (const point of buildMonthlyTrend(session.reviews || [])) {
+      const row = months.get(point.monthKey) || {
+        monthKey: point.monthKey,
+        label: format(parseISO(`${point.monthKey}-01`), "MMM yy"),
+      };
+      row[`rating_${index}`] = point.avgRating;
+      row[`sentiment_${index}`] = point.avgSentiment;
+      months.set(point.monthKey, row);
+    }
+  });
+  return [...months.values()].sort((a, b) => a.monthKey.localeCompare(b.monthKey));
+}
+
+function buildThemeComparison(sessions) {
+  return themeOptions.map((theme) => {
+    const row = { theme: theme.label };
+    sessions.forEach((session, index) => {
+      const count = session.themes?.[theme.value] ?? 0;
+      row[`share_${index}`] = session.n_reviews ? (count / session.n_reviews) * 100 : 0;
+    });
+    return row;
+  });
+}
+
+function SessionComparison({ sessions, selectedIds, onChange, onSelectSession, onResetFilters }) {
+  const [metric, setMetric] = useState("rating");
+  const selected = useMemo(
+    () => selectedIds.map((id) => sessions.find((session) => session.session_id === id)).filter(Boolean),
+    [sessions, selectedIds]
+  );
+  const trend = useMemo(() => buildComparisonTrend(selected), [selected]);
+  const themeData = useMemo(() => buildThemeComparison(selected), [selected]);
+  const available = sessions.filter((session) => !selectedIds.includes(session.session_id));
+
+  const metricRows = [
+    { label: "Reviews", render: (s) => s.n_reviews },
+    { label: "Avg rating", render: (s) => s.avg_rating ?? "—" },
+    { label: "Avg sentiment", render: (s) => formatSentiment(s.avg_sentiment) },
+    { label: "% Negative", render: (s) => formatShare(s.pct_negative) },
+    { label: "Attention", render: (s) => s.attention_score },
+    { label: "Status", render: (s) => statusPill(s.status) },
+  ];
+
+  return (
+    <>
+      <div className="rounded-2xl border bg-white p-5 shadow-sm">
+        <div className="flex items-center gap-2">
+          <p className="text-sm font-semibold text-slate-900">Sessions to compare</p>
+          {onResetFilters && <FilteredBadge onReset={onResetFilters} />}
+        </div>
+        <p className="text-xs text-slate-500">Pick two to four journeys</p>
+        <div className="mt-4 flex flex-wrap items-center gap-2">
+          {selected.map((session, index) => (
+            <span
+              key={session.session_id}
+              className="inline-flex items-center gap-2 rounded-full border px-3 py-1 text-xs font-medium text-slate-700"
+            >
+              <span className="h-2 w-2 rounded-full" style={{ backgroundColor: comparisonColors[index] }} />
+              {formatSessionTitle(session)}
+              <button
+                type="button"
+                aria-label="Remove"
+                onClick={() => onChange(selectedIds.filter((id) => id !== session.session_id))}
+                className="text-slate-400 hover:text-slate-700"
+              >
+                ×
+              </button>
+            </span>
+          ))}
+          {selected.length < MAX_COMPARED_SESSIONS && (
+            <select
+              className="rounded-xl border px-3 py-1.5 text-sm text-slate-600"
+              value=""
+              onChange={(e) => e.target.value && onChange([...selectedIds, e.target.value])}
+            >
+              <option value="">Add session…</option>
+              {available.map((session) => (
+                <option key={session.session_id} value={session.session_id}>
+                  {formatSessionTitle(session)}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      </div>
+
+      {selected.length < 2 ? (
+        <div className="rounded-2xl border bg-white p-5 text-sm text-slate-500 shadow-sm">
+          Select at least two sessions to compare them.
+        </div>
+      ) : (
+        <>
+          <div className="rounded-2xl border bg-white p-5 shadow-sm overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="text-slate-600">
+                <tr>
+                  <th className="p-3 text-left" />
+                  {selected.map((session, index) => (
+                    <th key={session.session_id} className="p-3 text-left max-w-[220px]">
+                      <button
+                        type="button"
+                        onClick={() => onSelectSession(session.session_id)}
+                        className="font-medium text-left line-clamp-2"
+                        style={{ color: comparisonColors[index] }}
+                      >
+                        {formatSessionTitle(session)}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {metricRows.map((row) => (
+                  <tr key={row.label} className="border-t">
+                    <td className="p-3 text-xs uppercase tracking-wide text-slate-500">{row.label}</td>
+                    {selected.map((session) => (
+                      <td key={session.session_id} className="p-3">
+                        {row.render(session)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="grid gap-6 xl:grid-cols-2">
+            <div className="rounded-2xl border bg-white p-4 shadow-sm">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-semibold text-slate-900">Monthly trend</p>
+                  <p className="text-xs text-slate-500">
+                    {metric === "rating" ? "Average rating per month" : "Average sentiment per month"}
+                  </p>
+                </div>
+                <div className="inline-flex rounded-full border p-0.5 text-xs">
+                  {["rating", "sentiment"].map((value) => (
+                    <button
+                      key={value}
+                      type="button"
+                      onClick={() => setMetric(value)}
+                      className={`rounded-full px-3 py-1 capitalize ${
+                        metric === value ? "bg-indigo-600 text-white" : "text-slate-500"
+                      }`}
+                    >
+                      {value}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="h-72 mt-4">
+                <ResponsiveContainer>
+                  <LineChart data={trend}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                    <YAxis
+                      domain={metric === "rating" ? [0, 5] : [-1, 1]}
+                      axisLine={false}
+                      tickLine={false}
+                      tick={{ fontSize: 12 }}
+                    />
+                    <Tooltip formatter={(value) => (Number.isFinite(value) ? value.toFixed(2) : value)} />
+                    <Legend />
+                    {selected.map((session, index) => (
+                      <Line
+                        key={session.session_id}
+                        type="monotone"
+                        dataKey={`${metric}_${index}`}
+                        name={formatSessionTitle(session)}
+                        stroke={comparisonColors[index]}
+                        strokeWidth={2}
+                        connectNulls
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+            <div className="rounded-2xl border bg-white p-4 shadow-sm">
+              <p className="text-sm font-semibold text-slate-900">Theme distribution</p>
+              <p className="text-xs text-slate-500">Share of reviews mentioning each theme</p>
+              <div className="h-72 mt-4">
+                <ResponsiveContainer>
+                  <BarChart data={themeData}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                    <XAxis dataKey="theme" axisLine={false} tickLine={false} />
+                    <YAxis axisLine={false} tickLine={false} unit="%" />
+                    <Tooltip formatter={(value) => prettyPercent(value)} />
+                    <Legend />
+                    {selected.map((session, index) => (
+                      <Bar
+                        key={session.session_id}
+                        dataKey={`share_${index}`}
+                        name={formatSessionTitle(session)}
+                        fill={comparisonColors[index]}
+                        radius={[4, 4, 0, 0]}
+                      />
+                    ))}
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </div>
+
+          <div className={`grid gap-6 md:grid-cols-2 ${selected.length > 2 ? "xl:grid-cols-4" : ""}`}>
+            {selected.map((session) => (
+              <InsightListCard
+                key={session.session_id}
+                title={formatSessionTitle(session)}
+                subtitle="Top pain points"
+                items={(session.top_pain_points || []).slice(0, 5)}
+                emptyLabel="No pain points detected."
+              />
+            ))}
+          </div>
+        </>
+      )}
+    </>
+  );
+}
+
+const UNATTRIBUTED_PRESENTER = "Unattributed";
+// Row key of the unattributed group, whose presenter_id is null.
+const UNATTRIBUTED_KEY = "__unattributed";
+const presenterRowKey = (row) => row.presenter_id ?? UNATTRIBUTED_KEY;
+
+/**
+ * Rolls sessions up per presenter (sessions whose slug names nobody share one row).
+ * Rating, sentiment and negative share are pooled over all of a presenter's reviews, so a
+ * busy session weighs more than a quiet one; attention is the mean of the session scores.
+ */
+function buildPresenterRollup(sessions) {
+  const byPresenter = new Map();
+  for (const session of sessions) {
+    const key = session.presenter_id ?? null;
+    const entry = byPresenter.get(key) || {
+      presenter_id: key,
+      presenter: session.presenter ?? UNATTRIBUTED_PRESENTER,
+      roles: new Set(),
+      sessions: [],
+    };
+    if (session.presenter_role) entry.roles.add(session.presenter_role);
+    entry.sessions.push(session);
+    byPresenter.set(key, entry);
+  }
+  return [...byPresenter.values()].map((entry) => {
+    const reviews = entry.sessions.flatMap((session) => session.reviews || []);
+    const ratings = reviews.map((review) => review.rating).filter(Number.isFinite);
+    const scored = reviews.filter((review) => Number.isFinite(review.sentiment));
+    const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+    const mentions = entry.sessions.reduce((sum, session) => sum + (session.themes?.presenter ?? 0), 0);
+    const scores = entry.sessions.map((session) => session.attention_score ?? 0);
+    return {
+      ...entry,
+      roles: [...entry.roles],
+      sessions: [...entry.sessions].sort((a, b) => b.attention_score - a.attention_score),
+      n_sessions: entry.sessions.length,
+      n_reviews: reviews.length,
+      n_scored: scored.length,
+      avg_rating: mean(ratings),
+      avg_sentiment: mean(scored.map((review) => review.sentiment)),
+      pct_negative: scored.length
+        ? scored.filter((review) => review.sentiment_label === "negative").length / scored.length
+        : null,
+      presenter_mentions: mentions,
+      presenter_share: reviews.length ? mentions / reviews.length : null,
+      avg_attention: mean(scores),
+      max_attention: Math.max(0, ...scores),
+      n_flagged: entry.sessions.filter((session) => attentionStatuses.has(session.status)).length,
+    };
+  });
+}
+
+const presenterColumns = [
+  { key: "n_sessions", label: "Sessions", render: (p) => p.n_sessions },
+  { key: "n_reviews", label: "# Reviews", render: (p) => p.n_reviews },
+  { key: "avg_rating", label: "Avg Rating", render: (p) => formatRating(p.avg_rating) },
+  { key: "avg_sentiment", label: "Avg Sentiment", render: (p) => formatSentiment(p.avg_sentiment) },
+  { key: "pct_negative", label: "% Negative", render: (p) => formatShare(p.pct_negative) },
+  {
+    key: "presenter_mentions",
+    label: "Presenter mentions",
+    render: (p) => (
+      <span>
+        {p.presenter_mentions}
+        <span className="ml-1 text-[11px] text-slate-400">{formatShare(p.presenter_share)}</span>
+      </span>
+    ),
+  },
+  {
+    key: "avg_attention",
+    label: "Avg Attention",
+    render: (p, { bands }) => (
+      <div className="inline-flex items-center gap-2">
+        <span className="text-sm font-semibold">{Math.round(p.avg_attention)}</span>
+        <div className="h-2 w-20 rounded bg-slate-200 overflow-hidden">
+          <div className={`h-full ${attentionBarColor(p.avg_attention, bands)}`} style={{ width: `${p.avg_attention}%` }} />
+        </div>
+      </div>
+    ),
+  },
+  { key: "max_attention", label: "Max Attention", render: (p) => p.max_attention },
+  { key: "n_flagged", label: "Flagged", render: (p) => (p.n_flagged ? `${p.n_flagged} of ${p.n_sessions}` : "—") },
+];
+
+function PresentersView({ sessions, bands, minReviews, onSelectSession, onResetFilters }) {
+  const [role, setRole] = useState("all");
+  const [sortBy, setSortBy] = useState({ key: "avg_attention", dir: "desc" });
+  const [expanded, setExpanded] = useState("");
+  const roles = useMemo(
+    () => [...new Set(sessions.map((session) => session.presenter_role).filter(Boolean))].sort(),
+    [sessions]
+  );
+  const rows = useMemo(() => {
+    const scoped = role === "all" ? sessions : sessions.filter((session) => session.presenter_role === role);
+    const dir = sortBy.dir === "asc" ? 1 : -1;
+    return buildPresenterRollup(scoped).sort((a, b) => {
+      // Unattributed sessions always come last; they are not anybody's track record.
+      if (!a.presenter_id !== !b.presenter_id) return a.presenter_id ? -1 : 1;
+      return ((a[sortBy.key] ?? -Infinity) - (b[sortBy.key] ?? -Infinity)) * dir || a.presenter.localeCompare(b.presenter);
+    });
+  }, [sessions, role, sortBy]);
+  const attributed = rows.filter((row) => row.presenter_id);
+
+  const setSort = (key) =>
+    setSortBy((prev) => ({ key, dir: prev.key === key && prev.dir === "desc" ? "asc" : "desc" }));
+
+  return (
+    <div className="rounded-2xl border bg-white shadow-sm p-5">
+      <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between mb-4">
+        <div>
+          <div className="flex items-center gap-2">
+            <p className="text-sm font-semibold text-slate-900">Presenters</p>
+            {onResetFilters && <FilteredBadge onReset={onResetFilters} />}
+          </div>
+          <p className="text-xs text-slate-500">
+            {attributed.length} presenters across {attributed.reduce((sum, row) => sum + row.n_sessions, 0)} sessions •
+            names and roles come from the session slugs. Click a row to list its sessions.
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {["all", ...roles].map((value) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setRole(value)}
+              className={`rounded-full px-3 py-1 text-xs font-medium ${
+                role === value ? "bg-indigo-600 text-white" : "bg-slate-100 text-slate-600"
+              }`}
+            >
+              {value === "all" ? "All roles" : formatRole(value)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto rounded-2xl border bg-white">
+        <table className="min-w-full text-sm">
+          <thead className="bg-slate-50 text-slate-600">
+            <tr>
+              <th className="p-3 text-left">Presenter</th>
+              {presenterColumns.map((column) => (
+                <th
+                  key={column.key}
+                  className="p-3 text-left cursor-pointer whitespace-nowrap select-none"
+                  onClick={() => setSort(column.key)}
+                >
+                  {column.label}
+                  {sortBy.key === column.key && (
+                    <span className="ml-1 text-xs text-slate-400">{sortBy.dir === "asc" ? "▲" : "▼"}</span>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <React.Fragment key={presenterRowKey(row)}>
+                <tr
+                  className="border-t cursor-pointer hover:bg-slate-50"
+                  onClick={() => setExpanded((prev) => (prev === presenterRowKey(row) ? "" : presenterRowKey(row)))}
+                >
+                  <td className="p-3">
+                    <div className={`font-medium ${row.presenter_id ? "text-slate-900" : "text-slate-500"}`}>
+                      {row.presenter}
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2">
+                      {row.roles.map((value) => (
+                        <span key={value} className="text-xs text-slate-500">
+                          {formatRole(value)}
+                        </span>
+                      ))}
+                      {row.n_scored < minReviews && (
+                        <span
+                          className="rounded-full bg-amber-50 px-2 py-[2px] text-[11px] font-medium text-amber-600 whitespace-nowrap"
+                          title={`Only ${row.n_scored} scored reviews across their sessions`}
+                        >
+                          insufficient data
+                        </span>
+                      )}
+                    </div>
+                  </td>
+                  {presenterColumns.map((column) => (
+                    <td key={column.key} className="p-3">
+                      {column.render(row, { bands })}
+                    </td>
+                  ))}
+                </tr>
+                {expanded === presenterRowKey(row) && (
+                  <tr className="bg-slate-50">
+                    <td colSpan={presenterColumns.length + 1} className="p-3">
+                      <ul className="space-y-2">
+                        {row.sessions.map((session) => (
+                          <li key={session.session_id} className="flex flex-wrap items-center gap-3 text-sm">
+                            <button
+                              type="button"
+                              onClick={() => onSelectSession(session.session_id)}
+                              className="font-medium text-indigo-600 text-left"
+                            >
+                              {formatSessionTitle(session)}
+                            </button>
+                            <span className="text-xs text-slate-500">
+                              {session.n_reviews} reviews • {session.avg_rating ?? "—"}★ • attention {session.attention_score}
+                            </span>
+                            {statusPill(session.status)}
+                            {insufficientDataBadge(session)}
+                          </li>
+                        ))}
+                      </ul>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+            {!rows.length && (
+              <tr>
+                <td colSpan={presenterColumns.length + 1} className="p-5 text-sm text-slate-500">
+                  {onResetFilters ? "No sessions match the current filters." : "No sessions loaded."}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      <p className="mt-3 text-[11px] text-slate-400">
+        Rating, sentiment and % negative pool every review of a presenter's sessions that matches the filters; attention is the mean and maximum of
+        their session scores. Presenter mentions count reviews tagged with the presenter theme.
+      </p>
+    </div>
+  );
+}
+
+const MAX_TRENDED_PHRASES = 4;
+const TOPIC_LIST_LENGTH = 25;
+const TOPIC_CLOUD_SIZE = 40;
+
+const topicSourceOptions = [
+  { label: "Both", value: "all" },
+  { label: "Pain points", value: "pain_points" },
+  { label: "Feature requests", value: "feature_requests" },
+];
+
+const monthKeyOf = (review) => {
+  const parsed = parseReviewDate(review);
+  return parsed ? format(parsed, "yyyy-MM") : null;
+};
+
+// Reviews per month mentioning each trended phrase, on the months the scope has reviews in.
+function buildPhraseTrend(reviews, trended) {
+  const months = [...new Set(reviews.map(monthKeyOf).filter(Boolean))].sort();
+  const rows = new Map(months.map((key) => [key, { monthKey: key, label: format(parseISO(`${key}-01`), "MMM yy") }]));
+  trended.forEach((entry, index) => {
+    for (const row of rows.values()) row[`phrase_${index}`] = 0;
+    for (const review of entry.reviews) {
+      const row = rows.get(monthKeyOf(review));
+      if (row) row[`phrase_${index}`] += 1;
+    }
+  });
+  return [...rows.values()];
+}
+
+function TopicExplorer({ reviews, sessions, onSelectPhrase, onResetFilters }) {
+  const [source, setSource] = useState("all");
+  const [sessionId, setSessionId] = useState("");
+  const [layout, setLayout] = useState("list");
+  const [pinned, setPinned] = useState([]);
+
+  const scoped = useMemo(
+    () => (sessionId ? reviews.filter((review) => review.session_id === sessionId) : reviews),
+    [reviews, sessionId]
+  );
+  const phrases = useMemo(
+    () => extractPhrases(scoped, { sources: source === "all" ? PHRASE_SOURCES : [source] }),
+    [scoped, source]
+  );
+  // Pinned phrases that are still in the list, else the top few, are the ones charted.
+  const trended = useMemo(() => {
+    const kept = pinned.map((phrase) => phrases.find((entry) => entry.phrase === phrase)).filter(Boolean);
+    return kept.length ? kept : phrases.slice(0, MAX_TRENDED_PHRASES);
+  }, [phrases, pinned]);
+  const trend = useMemo(() => buildPhraseTrend(scoped, trended), [scoped, trended]);
+  const mentioning = new Set(phrases.flatMap((entry) => entry.reviews.map((review) => review.review_id))).size;
+  const top = phrases[0]?.count ?? 1;
+  const cloud = [...phrases.slice(0, TOPIC_CLOUD_SIZE)].sort((a, b) => a.phrase.localeCompare(b.phrase));
+
+  const togglePinned = (phrase) =>
+    setPinned((prev) => {
+      const current = prev.filter((value) => phrases.some((entry) => entry.phrase === value));
+      if (current.includes(phrase)) return current.filter((value) => value !== phrase);
+      return current.length < MAX_TRENDED_PHRASES ? [...current, phrase] : current;
+    });
+
+  return (
+    <div className="space-y-6">
+      <div className="rounded-2xl border bg-white p-5 shadow-sm flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <div className="flex items-center gap-2">
+            <p className="text-sm font-semibold text-slate-900">Recurring phrases</p>
+            {onResetFilters && <FilteredBadge onReset={onResetFilters} />}
+          </div>
+          <p className="text-xs text-slate-500">
+            {phrases.length} phrases that come up in at least two reviews • {mentioning} of {scoped.length} reviews
+            mention one
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <div className="flex gap-2">
+            {topicSourceOptions.map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => setSource(option.value)}
+                className={`rounded-full px-3 py-1 text-xs font-medium ${
+                  source === option.value ? "bg-indigo-600 text-white" : "bg-slate-100 text-slate-600"
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <select
+            className="rounded-xl border px-3 py-1.5 text-sm text-slate-600 max-w-[260px]"
+            value={sessionId}
+            onChange={(e) => setSessionId(e.target.value)}
+          >
+            <option value="">All sessions</option>
+            {sessions.map((session) => (
+              <option key={session.session_id} value={session.session_id}>
+                {formatSessionTitle(session)}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {!phrases.length ? (
+        <div className="rounded-2xl border bg-white p-5 text-sm text-slate-500 shadow-sm">
+          No phrase comes up in more than one review here.
+        </div>
+      ) : (
+        <>
+          <div className="rounded-2xl border bg-white shadow-sm overflow-hidden">
+            <div className="p-5 border-b flex items-center justify-between gap-3">
+              <div>
+                <p className="text-sm font-semibold text-slate-900">
+                  {layout === "list" ? "Most mentioned" : "Word cloud"}
+                </p>
+                <p className="text-xs text-slate-500">
+                  Click a phrase to list the reviews that mention it
+                  {layout === "list" && `; pin up to ${MAX_TRENDED_PHRASES} to chart them`}
+                </p>
+              </div>
+              <div className="inline-flex rounded-full border p-0.5 text-xs">
+                {["list", "cloud"].map((value) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => setLayout(value)}
+                    className={`rounded-full px-3 py-1 capitalize ${
+                      layout === value ? "bg-indigo-600 text-white" : "text-slate-500"
+                    }`}
+                  >
+                    {value}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {layout === "list" ? (
+              <ul className="divide-y">
+                {phrases.slice(0, TOPIC_LIST_LENGTH).map((entry) => {
+                  const trendIndex = trended.indexOf(entry);
+                  return (
+                    <li key={entry.phrase} className="px-5 py-3 flex items-center gap-4 text-sm">
+                      <button
+                        type="button"
+                        onClick={() => onSelectPhrase(entry.phrase)}
+                        className="w-48 shrink-0 truncate text-left font-medium text-slate-900 hover:text-indigo-600"
+                      >
+                        {entry.phrase}
+                      </button>
+                      <div className="flex-1 h-2 rounded-full bg-slate-100">
+                        <div
+                          className="h-2 rounded-full bg-indigo-500"
+                          style={{ width: `${(entry.count / top) * 100}%` }}
+                        />
+                      </div>
+                      <span className="w-28 shrink-0 text-xs text-slate-500">
+                        {entry.count} reviews • {entry.sessions} session{entry.sessions === 1 ? "" : "s"}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => togglePinned(entry.phrase)}
+                        className={`inline-flex w-16 shrink-0 items-center gap-1 text-xs font-medium ${
+                          trendIndex >= 0 ? "text-slate-700" : "text-slate-400 hover:text-slate-700"
+                        }`}
+                      >
+                        {trendIndex >= 0 && (
+                          <span className="h-2 w-2 rounded-full" style={{ backgroundColor: comparisonColors[trendIndex] }} />
+                        )}
+                        {pinned.includes(entry.phrase) ? "Unpin" : "Pin"}
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            ) : (
+              <div className="p-6 flex flex-wrap items-baseline justify-center gap-x-4 gap-y-2">
+                {cloud.map((entry) => {
+                  const weight = Math.sqrt(entry.count / top);
+                  return (
+                    <button
+                      key={entry.phrase}
+                      type="button"
+                      onClick={() => onSelectPhrase(entry.phrase)}
+                      title={`${entry.count} reviews in ${entry.sessions} sessions`}
+                      className="font-semibold text-indigo-600 hover:text-indigo-800"
+                      style={{ fontSize: `${12 + weight * 20}px`, opacity: 0.45 + weight * 0.55 }}
+                    >
+                      {entry.phrase}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          <div className="rounded-2xl border bg-white p-4 shadow-sm">
+            <p className="text-sm font-semibold text-slate-900">Mentions over time</p>
+            <p className="text-xs text-slate-500">
+              Reviews per month mentioning {pinned.length ? "the pinned phrases" : "the top phrases"}
+            </p>
+            <div className="h-72 mt-4">
+              <ResponsiveContainer>
+                <LineChart data={trend}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                  <YAxis allowDecimals={false} axisLine={false} tickLine={false} tick={{ fontSize: 12 }} />
+                  <Tooltip />
+                  <Legend />
+                  {trended.map((entry, index) => (
+                    <Line
+                      key={entry.phrase}
+                      type="monotone"
+                      dataKey={`phrase_${index}`}
+                      name={entry.phrase}
+                      stroke={comparisonColors[index]}
+                      strokeWidth={2}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// A star rating mapped onto the sentiment scale: 1★ → -1, 3★ → 0, 5★ → 1.
+const ratingAsSentiment = (rating) => (rating - 3) / 2;
+const DEFAULT_DISAGREEMENT_THRESHOLD = 1.2;
+
+const verdictOptions = [
+  { label: "Rating is right", value: "rating" },
+  { label: "Sentiment is right", value: "sentiment" },
+];
+
+// Reviews whose stars and the model's sentiment point in opposite directions and sit at
+// least `threshold` apart on the -1…1 scale. The model's score is used even after a relabel,
+// so a resolved disagreement stays listed with its verdict. Unscored reviews have nothing
+// to disagree with.
+function findDisagreements(reviews, threshold) {
+  return reviews
+    .map((review) => ({ review, sentiment: review.__model ? review.__model.sentiment : review.sentiment }))
+    .filter(({ review, sentiment }) => Number.isFinite(review.rating) && Number.isFinite(sentiment))
+    .map(({ review, sentiment }) => {
+      const expected = ratingAsSentiment(review.rating);
+      return { review, sentiment, gap: Math.abs(expected - sentiment), opposed: expected * sentiment < 0 };
+    })
+    .filter((entry) => entry.opposed && entry.gap >= threshold)
+    .sort((a, b) => b.gap - a.gap);
+}
+
+function DisagreementsPanel({ reviews, onSelectSession, onResetFilters, onOverride }) {
+  const [threshold, setThreshold] = usePersistentState("disagreements.threshold", DEFAULT_DISAGREEMENT_THRESHOLD);
+  const [verdicts, setVerdicts] = usePersistentState("disagreements.verdicts", {});
+  const [hideResolved, setHideResolved] = useState(false);
+
+  const disagreements = useMemo(() => findDisagreements(reviews, threshold), [reviews, threshold]);
+  const resolvedCount = disagreements.filter(({ review }) => verdicts[review.review_id]).length;
+  const groups = useMemo(() => {
+    const bySession = new Map();
+    for (const entry of disagreements) {
+      if (hideResolved && verdicts[entry.review.review_id]) continue;
+      const group = bySession.get(entry.review.session_id) || { session: entry.review.__session, entries: [] };
+      group.entries.push(entry);
+      bySession.set(entry.review.session_id, group);
+    }
+    return [...bySession.values()].sort((a, b) => b.entries.length - a.entries.length);
+  }, [disagreements, verdicts, hideResolved]);
+
+  // "Rating is right" relabels the sentiment to match the stars through the usual override,
+  // so pct_negative, status and attention are rescored; any other verdict keeps the model's label.
+  const setVerdict = (review, verdict) => {
+    const next = verdicts[review.review_id] === verdict ? null : verdict;
+    setVerdicts((prev) => {
+      const copy = { ...prev };
+      if (next) copy[review.review_id] = next;
+      else delete copy[review.review_id];
+      return copy;
+    });
+    const kept = Object.fromEntries(
+      (review.__overrides || []).filter((field) => field !== "sentiment_label").map((field) => [field, review[field]])
+    );
+    if (next === "rating") {
+      onOverride(review.review_id, {
+        ...kept,
+        sentiment_label: ratingAsSentiment(review.rating) > 0 ? "positive" : "negative",
+      });
+    } else if (review.__overrides?.includes("sentiment_label")) {
+      onOverride(review.review_id, Object.keys(kept).length ? kept : null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="rounded-2xl border bg-white p-5 shadow-sm flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <div className="flex items-center gap-2">
+            <p className="text-sm font-semibold text-slate-900">Disagreements</p>
+            {onResetFilters && <FilteredBadge onReset={onResetFilters} />}
+          </div>
+          <p className="text-xs text-slate-500">
+            {disagreements.length} reviews across {new Set(disagreements.map(({ review }) => review.session_id)).size}{" "}
+            sessions where the stars and the sentiment score conflict • {resolvedCount} reviewed. “Rating is right”
+            relabels the review's sentiment to match its stars and rescores its session.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="text-xs text-slate-500">
+            <span className="block mb-1">Minimum gap: {threshold.toFixed(1)}</span>
+            <input
+              type="range"
+              min={0.5}
+              max={2}
+              step={0.1}
+              value={threshold}
+              onChange={(e) => setThreshold(Number(e.target.value))}
+              className="accent-indigo-600"
+            />
+          </label>
+          <label className="flex items-center gap-2 text-sm text-slate-600">
+            <input type="checkbox" checked={hideResolved} onChange={(e) => setHideResolved(e.target.checked)} />
+            Hide reviewed
+          </label>
+        </div>
+      </div>
+
+      {groups.length === 0 && (
+        <div className="rounded-2xl border bg-white p-5 text-sm text-slate-500 shadow-sm">
+          {disagreements.length ? "Every disagreement has been reviewed." : "No disagreements at this threshold."}
+        </div>
+      )}
+
+      {groups.map(({ session, entries }) => (
+        <div key={session.session_id} className="rounded-2xl border bg-white shadow-sm overflow-hidden">
+          <div className="p-5 border-b flex flex-wrap items-center justify-between gap-2">
+            <button
+              type="button"
+              onClick={() => onSelectSession(session.session_id)}
+              className="text-sm font-semibold text-slate-900 hover:text-indigo-600 text-left"
+            >
+              {formatSessionTitle(session)}
+            </button>
+            <p className="text-xs text-slate-500">
+              {entries.length} of {session.n_reviews} reviews • {formatShare(session.pct_negative)} negative •{" "}
+              {statusPill(session.status)}
+            </p>
+          </div>
+          <ul className="divide-y">
+            {entries.map(({ review, sentiment, gap }) => (
+              <ReviewListItem key={review.review_id} review={review} onOverride={onOverride}>
+                <div className="flex flex-wrap items-center gap-2 pt-1">
+                  <span className="text-xs text-slate-500">
+                    {review.rating}★ vs sentiment {sentiment.toFixed(2)} • gap {gap.toFixed(2)}
+                  </span>
+                  {verdictOptions.map((option) => (
+                    <button
+                      key={option.value}
+                      type="button"
+                      onClick={() => setVerdict(review, option.value)}
+                      className={`rounded-full px-3 py-1 text-xs font-medium ${
+                        verdicts[review.review_id] === option.value
+                          ? "bg-indigo-600 text-white"
+                          : "bg-slate-100 text-slate-600"
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </ReviewListItem>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const metricDelta = (current, previous) =>
+  Number.isFinite(current) && Number.isFinite(previous) ? current - previous : null;
+
+// Pairs each live session with its baseline counterpart. Sessions the baseline did not
+// have come first, then the rest by how far their attention score moved.
+function buildSnapshotDeltas(sessions, baseline) {
+  const previous = new Map(baseline.sessions.map((session) => [session.session_id, session]));
+  const rows = sessions.map((session) => {
+    const before = previous.get(session.session_id) ?? null;
+    const knownIds = new Set((before?.reviews || []).map((review) => review.review_id));
+    return {
+      session,
+      before,
+      newReviews: (session.reviews || []).filter((review) => !knownIds.has(review.review_id)).length,
+      rating: metricDelta(session.avg_rating, before?.avg_rating),
+      negative: metricDelta(session.pct_negative, before?.pct_negative),
+      attention: metricDelta(session.attention_score, before?.attention_score),
+    };
+  });
+  rows.sort((a, b) => Number(Boolean(a.before)) - Number(Boolean(b.before)) || Math.abs(b.attention ?? 0) - Math.abs(a.attention ?? 0));
+  const currentIds = new Set(sessions.map((session) => session.session_id));
+  return { rows, removed: baseline.sessions.filter((session) => !currentIds.has(session.session_id)) };
+}
+
+const formatSnapshotDate = (date) => format(parseISO(date), "d MMM yyyy");
+
+// One row per snapshot (plus the live data when it is newer than every snapshot), one
+// `attention_${index}` key per charted session.
+function buildAttentionHistory(snapshots, sessions, scrapeDate, chartedIds) {
+  // The live data is always the last point; a snapshot of the current scrape would only repeat it.
+  const points = [
+    ...getBaselineCandidates(snapshots, scrapeDate).map((snapshot) => ({
+      label: formatSnapshotDate(snapshot.date),
+      sessions: snapshot.sessions,
+    })),
+    { label: "Current", sessions },
+  ];
+  return points.map((point) => {
+    const row = { label: point.label };
+    chartedIds.forEach((id, index) => {
+      row[`attention_${index}`] = point.sessions.find((session) => session.session_id === id)?.attention_score ?? null;
+    });
+    return row;
+  });
+}
+
+function DeltaValue({ value, format: formatValue, higherIsBetter }) {
+  if (value == null) return <span className="text-xs text-slate-400">—</span>;
+  const rounded = Number(formatValue(Math.abs(value)));
+  const tone =
+    rounded === 0 ? "text-slate-400" : (value > 0) === higherIsBetter ? "text-emerald-600" : "text-rose-600";
+  return (
+    <span className={`text-xs font-medium ${tone}`}>
+      {rounded === 0 ? "±" : value > 0 ? "+" : "−"}
+      {formatValue(Math.abs(value))}
+    </span>
+  );
+}
+
+const deltaColumns = [
+  {
+    key: "rating",
+    label: "Avg rating",
+    value: (s) => s.avg_rating ?? "—",
+    format: (value) => value.toFixed(2),
+    higherIsBetter: true,
+  },
+  {
+    key: "negative",
+    label: "% Negative",
+    value: (s) => formatShare(s.pct_negative),
+    format: (value) => (value * 100).toFixed(1),
+    suffix: " pp",
+    higherIsBetter: false,
+  },
+  {
+    key: "attention",
+    label: "Attention",
+    value: (s) => s.attention_score,
+    format: (value) => value.toFixed(1),
+    higherIsBetter: false,
+  },
+];
+
+function SnapshotHistory({
+  snapshots,
+  sessions,
+  scrapeDate,
+  baseline,
+  onBaselineChange,
+  newReviews,
+  error,
+  onSelectSession,
+  onOverride,
+}) {
+  const [chartedIds, setChartedIds] = useState(() =>
+    sessions.slice(0, MAX_COMPARED_SESSIONS).map((session) => session.session_id)
+  );
+  const [page, setPage] = useState(0);
+  const candidates = getBaselineCandidates(snapshots, scrapeDate);
+  const deltas = useMemo(() => (baseline ? buildSnapshotDeltas(sessions, baseline) : null), [sessions, baseline]);
+  const history = useMemo(
+    () => buildAttentionHistory(snapshots, sessions, scrapeDate, chartedIds),
+    [snapshots, sessions, scrapeDate, chartedIds]
+  );
+  const pageCount = Math.ceil(newReviews.length / REVIEWS_PAGE_SIZE);
+  const pageReviews = newReviews.slice(page * REVIEWS_PAGE_SIZE, (page + 1) * REVIEWS_PAGE_SIZE);
+
+  const toggleCharted = (id) =>
+    setChartedIds((prev) => (prev.includes(id) ? prev.filter((value) => value !== id) : [...prev, id]));
+
+  if (error) return <DataIssues error={error} />;
+  if (!snapshots.length) {
+    return (
+      <div className="rounded-2xl border bg-white p-5 text-sm text-slate-500 shadow-sm">
+        No snapshots yet. Run <code className="text-slate-700">npm run snapshot</code> after each scrape to start a
+        history in <code className="text-slate-700">public/data/snapshots/</code>.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="rounded-2xl border bg-white p-5 shadow-sm flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <p className="text-sm font-semibold text-slate-900">Changes since the last snapshot</p>
+          <p className="text-xs text-slate-500">
+            {snapshots.length} snapshot{snapshots.length === 1 ? "" : "s"} • current data scraped{" "}
+            {scrapeDate ? formatSnapshotDate(scrapeDate) : "on an unknown date"}
+            {baseline && ` • ${newReviews.length} new reviews`}
+          </p>
+        </div>
+        {candidates.length > 0 && (
+          <label className="text-xs text-slate-500">
+            <span className="block mb-1">Compare against</span>
+            <select
+              className="rounded-xl border px-3 py-1.5 text-sm text-slate-600"
+              value={baseline?.date ?? ""}
+              onChange={(e) => {
+                onBaselineChange(e.target.value);
+                setPage(0);
+              }}
+            >
+              {[...candidates].reverse().map((snapshot) => (
+                <option key={snapshot.date} value={snapshot.date}>
+                  {formatSnapshotDate(snapshot.date)}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+
+      {deltas ? (
+        <div className="rounded-2xl border bg-white shadow-sm overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-slate-50 text-slate-600">
+              <tr>
+                <th className="p-3 text-left">Session</th>
+                <th className="p-3 text-left">Reviews</th>
+                {deltaColumns.map((column) => (
+                  <th key={column.key} className="p-3 text-left">
+                    {column.label}
+                  </th>
+                ))}
+                <th className="p-3 text-left">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {deltas.rows.map((row) => (
+                <tr key={row.session.session_id} className="border-t">
+                  <td className="p-3 max-w-[280px]">
+                    <button
+                      type="button"
+                      onClick={() => onSelectSession(row.session.session_id)}
+                      className="font-medium text-slate-900 hover:text-indigo-600 text-left line-clamp-2"
+                    >
+                      {formatSessionTitle(row.session)}
+                    </button>
+                    {!row.before && (
+                      <span className="rounded-full bg-emerald-50 px-2 py-[2px] text-[11px] font-medium text-emerald-600">
+                        new session
+                      </span>
+                    )}
+                  </td>
+                  <td className="p-3 whitespace-nowrap">
+                    {row.session.n_reviews}
+                    {row.newReviews > 0 && <span className="ml-2 text-xs font-medium text-emerald-600">+{row.newReviews}</span>}
+                  </td>
+                  {deltaColumns.map((column) => (
+                    <td key={column.key} className="p-3 whitespace-nowrap">
+                      {column.value(row.session)}{" "}
+                      {row.before && (
+                        <>
+                          <DeltaValue
+                            value={row[column.key]}
+                            format={column.format}
+                            higherIsBetter={column.higherIsBetter}
+                          />
+                          {column.suffix && row[column.key] != null && (
+                            <span className="text-xs text-slate-400">{column.suffix}</span>
+                          )}
+                        </>
+                      )}
+                    </td>
+                  ))}
+                  <td className="p-3 whitespace-nowrap">
+                    {row.before && row.before.status !== row.session.status && (
+                      <>
+                        {statusPill(row.before.status)}
+                        <span className="mx-1 text-slate-400">→</span>
+                      </>
+                    )}
+                    {statusPill(row.session.status)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {deltas.removed.length > 0 && (
+            <p className="p-4 border-t text-[11px] text-slate-400">
+              No longer in the data: {deltas.removed.map(formatSessionTitle).join(", ")}
+            </p>
+          )}
+        </div>
+      ) : (
+        <div className="rounded-2xl border bg-white p-5 text-sm text-slate-500 shadow-sm">
+          The current data is the only snapshot so far, so there is nothing to compare against yet. Deltas show up
+          once the next scrape is snapshotted.
+        </div>
+      )}
+
+      <div className="rounded-2xl border bg-white p-4 shadow-sm">
+        <p className="text-sm font-semibold text-slate-900">Attention score over time</p>
+        <p className="text-xs text-slate-500">Up to {MAX_COMPARED_SESSIONS} sessions, scored with the current rules</p>
+        <div className="mt-4 flex flex-wrap gap-2">
+          {sessions.map((session) => {
+            const index = chartedIds.indexOf(session.session_id);
+            return (
+              <button
+                key={session.session_id}
+                type="button"
+                disabled={index < 0 && chartedIds.length >= MAX_COMPARED_SESSIONS}
+                onClick={() => toggleCharted(session.session_id)}
+                className={`inline-flex items-center gap-2 rounded-full px-3 py-1 text-xs font-medium disabled:opacity-40 ${
+                  index >= 0 ? "border text-slate-700" : "bg-slate-100 text-slate-600"
+                }`}
+              >
+                {index >= 0 && <span className="h-2 w-2 rounded-full" style={{ backgroundColor: comparisonColors[index] }} />}
+                {formatSessionTitle(session)}
+              </button>
+            );
+          })}
+        </div>
+        <div className="h-72 mt-4">
+          <ResponsiveContainer>
+            <LineChart data={history}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+              <YAxis domain={[0, 100]} axisLine={false} tickLine={false} tick={{ fontSize: 12 }} />
+              <Tooltip formatter={(value) => (Number.isFinite(value) ? value.toFixed(1) : value)} />
+              <Legend />
+              {chartedIds.map((id, index) => {
+                const session = sessions.find((item) => item.session_id === id);
+                return (
+                  <Line
+                    key={id}
+                    type="monotone"
+                    dataKey={`attention_${index}`}
+                    name={session ? formatSessionTitle(session) : id}
+                    stroke={comparisonColors[index]}
+                    strokeWidth={2}
+                    connectNulls
+                  />
+                );
+              })}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      {baseline && (
+        <div className="rounded-2xl border bg-white shadow-sm overflow-hidden">
+          <div className="p-5 border-b">
+            <p className="text-sm font-semibold text-slate-900">New reviews</p>
+            <p className="text-xs text-slate-500">Not in the {formatSnapshotDate(baseline.date)} snapshot</p>
+          </div>
+          <ul className="divide-y">
+            {pageReviews.map((review) => (
+              <ReviewListItem
+                key={review.review_id}
+                review={review}
+                onSelectSession={onSelectSession}
+                onOverride={onOverride}
+              />
+            ))}
+            {!newReviews.length && <li className="p-5 text-sm text-slate-500">No new reviews since then.</li>}
+          </ul>
+          <Pagination page={page} pageCount={pageCount} onPageChange={setPage} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+const DEFAULT_WEBHOOK_URL = "http://localhost:4010/alerts";
+const alertRatingOptions = [1, 2, 3, 4];
+
+const formatAlertTime = (value) => (value ? format(parseISO(value), "d MMM yyyy, HH:mm") : "—");
+
+// Thresholds are edited in display units (percent for pct_negative) and stored raw.
+const toDisplayThreshold = (rule) => Math.round(rule.threshold * ALERT_METRICS[rule.metric].scale * 100) / 100;
+const fromDisplayThreshold = (metric, value) => value / ALERT_METRICS[metric].scale;
+
+const newRuleId = (prefix) => `${prefix}-${Date.now().toString(36)}`;
+
+function AlertRulesEditor({ rules, onChange }) {
+  const [draft, setDraft] = useState({ kind: "pct_negative", comparison: "above", threshold: 30, maxRating: 2 });
+  const updateRule = (id, patch) => onChange(rules.map((rule) => (rule.id === id ? { ...rule, ...patch } : rule)));
+
+  const addRule = () => {
+    if (draft.kind === "review") {
+      onChange([...rules, { id: newRuleId("review"), type: "review", maxRating: draft.maxRating, enabled: true }]);
+      return;
+    }
+    if (!Number.isFinite(draft.threshold)) return;
+    onChange([
+      ...rules,
+      {
+        id: newRuleId(draft.kind),
+        type: "metric",
+        metric: draft.kind,
+        comparison: draft.comparison,
+        threshold: fromDisplayThreshold(draft.kind, draft.threshold),
+        enabled: true,
+      },
+    ]);
+  };
+
+  return (
+    <div className="rounded-2xl border bg-white p-5 shadow-sm space-y-4">
+      <div>
+        <p className="text-sm font-semibold text-slate-900">Alert rules</p>
+        <p className="text-xs text-slate-500">Checked against every watched session whenever data loads</p>
+      </div>
+      <ul className="divide-y rounded-xl border">
+        {rules.map((rule) => (
+          <li key={rule.id} className="flex flex-wrap items-center gap-3 px-4 py-3 text-sm">
+            <input
+              type="checkbox"
+              checked={rule.enabled}
+              onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+              aria-label="Enabled"
+            />
+            <span className={`flex-1 ${rule.enabled ? "text-slate-700" : "text-slate-400"}`}>{describeAlertRule(rule)}</span>
+            {rule.type === "metric" ? (
+              <label className="flex items-center gap-1 text-xs text-slate-500">
+                {rule.comparison}
+                <input
+                  type="number"
+                  step="any"
+                  value={toDisplayThreshold(rule)}
+                  onChange={(e) =>
+                    e.target.value !== "" &&
+                    updateRule(rule.id, { threshold: fromDisplayThreshold(rule.metric, Number(e.target.value)) })
+                  }
+                  className="w-20 rounded-lg border px-2 py-1 text-sm text-slate-700"
+                />
+                {ALERT_METRICS[rule.metric].unit}
+              </label>
+            ) : (
+              <label className="flex items-center gap-1 text-xs text-slate-500">
+                up to
+                <select
+                  value={rule.maxRating}
+                  onChange={(e) => updateRule(rule.id, { maxRating: Number(e.target.value) })}
+                  className="rounded-lg border px-2 py-1 text-sm text-slate-700"
+                >
+                  {alertRatingOptions.map((value) => (
+                    <option key={value} value={value}>
+                      {value}★
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <button
+              type="button"
+              onClick={() => onChange(rules.filter((item) => item.id !== rule.id))}
+              className="text-xs font-medium text-slate-400 hover:text-rose-600"
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+        {!rules.length && <li className="px-4 py-3 text-sm text-slate-500">No rules; nothing will alert.</li>}
+      </ul>
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="text-xs text-slate-500">
+          <span className="block mb-1">New rule</span>
+          <select
+            value={draft.kind}
+            onChange={(e) => setDraft((prev) => ({ ...prev, kind: e.target.value }))}
+            className="rounded-xl border px-3 py-1.5 text-sm text-slate-600"
+          >
+            {Object.entries(ALERT_METRICS).map(([metric, { label }]) => (
+              <option key={metric} value={metric}>
+                {label}
+              </option>
+            ))}
+            <option value="review">New low-star review</option>
+          </select>
+        </label>
+        {draft.kind === "review" ? (
+          <select
+            value={draft.maxRating}
+            onChange={(e) => setDraft((prev) => ({ ...prev, maxRating: Number(e.target.value) }))}
+            className="rounded-xl border px-3 py-1.5 text-sm text-slate-600"
+          >
+            {alertRatingOptions.map((value) => (
+              <option key={value} value={value}>
+                up to {value}★
+              </option>
+            ))}
+          </select>
+        ) : (
+          <>
+            <select
+              value={draft.comparison}
+              onChange={(e) => setDraft((prev) => ({ ...prev, comparison: e.target.value }))}
+              className="rounded-xl border px-3 py-1.5 text-sm text-slate-600"
+            >
+              <option value="above">above</option>
+              <option value="below">below</option>
+            </select>
+            <input
+              type="number"
+              step="any"
+              value={Number.isFinite(draft.threshold) ? draft.threshold : ""}
+              onChange={(e) => setDraft((prev) => ({ ...prev, threshold: e.target.value === "" ? NaN : Number(e.target.value) }))}
+              className="w-24 rounded-xl border px-3 py-1.5 text-sm text-slate-600"
+              placeholder={ALERT_METRICS[draft.kind].unit}
+            />
+          </>
+        )}
+        <button
+          type="button"
+          onClick={addRule}
+          className="rounded-xl border border-slate-200 px-4 py-2 text-sm font-medium text-slate-600"
+        >
+          Add rule
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function AlertsPanel({
+  alerts,
+  rules,
+  onRulesChange,
+  watchlist,
+  sessions,
+  onToggleWatch,
+  onAcknowledge,
+  onSelectSession,
+  onNotify,
+}) {
+  const [showAll, setShowAll] = useState(false);
+  const [webhookUrl, setWebhookUrl] = usePersistentState("alerts.webhookUrl", DEFAULT_WEBHOOK_URL);
+  const [sending, setSending] = useState(false);
+  const open = alerts.filter(isOpenAlert);
+  const listed = [...(showAll ? alerts : open)].reverse();
+  const watched = sessions.filter((session) => watchlist[session.session_id]);
+  const missing = Object.keys(watchlist).filter((id) => !sessions.some((session) => session.session_id === id));
+  const unwatched = sessions.filter((session) => !watchlist[session.session_id]);
+
+  const exportFeed = () => {
+    const feed = buildAlertFeed(alerts, rules);
+    downloadFile(JSON.stringify(feed, null, 2), `alerts-feed-${format(new Date(), "yyyy-MM-dd")}.json`, "application/json");
+  };
+
+  const sendFeed = async () => {
+    setSending(true);
+    try {
+      const res = await fetch(webhookUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(buildAlertFeed(alerts, rules)),
+      });
+      onNotify(res.ok ? `Sent ${alerts.length} alerts to the webhook` : `Webhook responded with HTTP ${res.status}`);
+    } catch (error) {
+      onNotify(`Could not reach ${webhookUrl}: ${error.message}`);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="rounded-2xl border bg-white shadow-sm overflow-hidden">
+        <div className="p-5 border-b flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <p className="text-sm font-semibold text-slate-900">Alert inbox</p>
+            <p className="text-xs text-slate-500">
+              {open.length} open • {alerts.length} total • {watched.length} watched session{watched.length === 1 ? "" : "s"}
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            {[false, true].map((value) => (
+              <button
+                key={String(value)}
+                type="button"
+                onClick={() => setShowAll(value)}
+                className={`rounded-full px-3 py-1 text-xs font-medium ${
+                  showAll === value ? "bg-indigo-600 text-white" : "bg-slate-100 text-slate-600"
+                }`}
+              >
+                {value ? "All" : "Open"}
+              </button>
+            ))}
+            {open.length > 0 && (
+              <button
+                type="button"
+                onClick={() => onAcknowledge(open.map((alert) => alert.id))}
+                className="text-xs font-medium text-indigo-600"
+              >
+                Acknowledge all
+              </button>
+            )}
+          </div>
+        </div>
+        <ul className="divide-y">
+          {listed.map((alert) => (
+            <li key={alert.id} className="p-5 flex items-start gap-3">
+              <span
+                className={`mt-1.5 h-2 w-2 shrink-0 rounded-full ${
+                  alert.acknowledged_at ? "bg-slate-300" : alert.review_id ? "bg-amber-500" : "bg-rose-500"
+                }`}
+              />
+              <div className="flex-1 min-w-0 space-y-1">
+                <p className="text-sm text-slate-700">{alert.message}</p>
+                <div className="flex flex-wrap items-center gap-2 text-xs text-slate-400">
+                  <button
+                    type="button"
+                    onClick={() => onSelectSession(alert.session_id)}
+                    className="text-indigo-600 truncate max-w-[280px]"
+                  >
+                    {formatSessionTitle(alert)}
+                  </button>
+                  <span>• {formatAlertTime(alert.created_at)}</span>
+                  {alert.cleared_at && alert.cleared_reason !== "unwatched" && (
+                    <span className="rounded-full bg-emerald-50 px-2 py-[2px] text-[11px] font-medium text-emerald-600">
+                      recovered {formatAlertTime(alert.cleared_at)}
+                    </span>
+                  )}
+                  {alert.cleared_reason === "unwatched" && (
+                    <span className="rounded-full bg-slate-100 px-2 py-[2px] text-[11px] font-medium text-slate-500">
+                      no longer checked {formatAlertTime(alert.cleared_at)}
+                    </span>
+                  )}
+                  {alert.acknowledged_at && <span>• acknowledged {formatAlertTime(alert.acknowledged_at)}</span>}
+                </div>
+              </div>
+              {!alert.acknowledged_at && (
+                <button
+                  type="button"
+                  onClick={() => onAcknowledge([alert.id])}
+                  className="shrink-0 rounded-xl border border-slate-200 px-3 py-1 text-xs font-medium text-slate-600"
+                >
+                  Acknowledge
+                </button>
+              )}
+            </li>
+          ))}
+          {!listed.length && (
+            <li className="p-5 text-sm text-slate-500">
+              {watched.length ? "Nothing needs attention." : "Watch a session to start getting alerts."}
+            </li>
+          )}
+        </ul>
+        <div className="p-5 border-t flex flex-wrap items-end gap-3">
+          <label className="text-xs text-slate-500 flex-1 min-w-[240px]">
+            <span className="block mb-1">Webhook URL</span>
+            <input
+              className="w-full rounded-xl border px-3 py-2 text-sm"
+              value={webhookUrl}
+              onChange={(e) => setWebhookUrl(e.target.value)}
+            />
+          </label>
+          <button
+            type="button"
+            disabled={sending || !webhookUrl.trim()}
+            onClick={sendFeed}
+            className="rounded-xl border border-slate-200 px-4 py-2 text-sm font-medium text-slate-600 disabled:opacity-40"
+          >
+            {sending ? "Sending…" : "Send feed"}
+          </button>
+          <button
+            type="button"
+            onClick={exportFeed}
+            className="rounded-xl bg-indigo-600 px-4 py-2 text-sm font-medium text-white shadow"
+          >
+            Export JSON feed
+          </button>
+        </div>
+      </div>
+
+      <div className="grid gap-6 xl:grid-cols-2">
+        <div className="rounded-2xl border bg-white p-5 shadow-sm space-y-4">
+          <div>
+            <p className="text-sm font-semibold text-slate-900">Watchlist</p>
+            <p className="text-xs text-slate-500">Reviews already there when a session is watched never raise an alert</p>
+          </div>
+          <ul className="divide-y rounded-xl border">
+            {watched.map((session) => (
+              <li key={session.session_id} className="flex items-center gap-3 px-4 py-3 text-sm">
+                <button
+                  type="button"
+                  onClick={() => onSelectSession(session.session_id)}
+                  className="flex-1 truncate text-left font-medium text-slate-900 hover:text-indigo-600"
+                >
+                  {formatSessionTitle(session)}
+                </button>
+                {statusPill(session.status)}
+                <button
+                  type="button"
+                  onClick={() => onToggleWatch(session)}
+                  className="text-xs font-medium text-slate-400 hover:text-rose-600"
+                >
+                  Unwatch
+                </button>
+              </li>
+            ))}
+            {!watched.length && <li className="px-4 py-3 text-sm text-slate-500">No sessions watched yet.</li>}
+          </ul>
+          {missing.length > 0 && (
+            <p className="text-[11px] text-slate-400">
+              {missing.length} watched session{missing.length === 1 ? " is" : "s are"} not in the current data.
+            </p>
+          )}
+          <select
+            className="rounded-xl border px-3 py-1.5 text-sm text-slate-600"
+            value=""
+            onChange={(e) => {
+              const session = sessions.find((item) => item.session_id === e.target.value);
+              if (session) onToggleWatch(session);
+            }}
+          >
+            <option value="">Watch session…</option>
+            {unwatched.map((session) => (
+              <option key={session.session_id} value={session.session_id}>
+                {formatSessionTitle(session)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <AlertRulesEditor rules={rules} onChange={onRulesChange} />
+      </div>
+    </div>
+  );
+}
+
+const exportFormatOptions = [
+  { label: "CSV", value: "csv" },
+  { label: "JSON", value: "json" },
+  { label: "Excel workbook", value: "xls" },
+];
+const exportScopeOptions = [
+  { label: "Filtered reviews", value: "reviews" },
+  { label: "Session summary", value: "sessions" },
+  { label: "Both", value: "both" },
+];
+
+function ExportDialog({ reviewCount, sessionCount, onExport, onClose }) {
+  const [options, setOptions] = usePersistentState("exportOptions", {
+    format: "csv",
+    scope: "reviews",
+    columns: defaultExportColumns,
+  });
+  const toggleColumn = (key) =>
+    setOptions((prev) => ({
+      ...prev,
+      columns: prev.columns.includes(key) ? prev.columns.filter((item) => item !== key) : [...prev.columns, key],
+    }));
+  const needsColumns = options.scope !== "sessions";
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-slate-900/40 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-lg rounded-2xl bg-white p-6 shadow-xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <p className="text-lg font-semibold text-slate-900">Export data</p>
+        <p className="text-xs text-slate-500">
+          {reviewCount} reviews across {sessionCount} sessions match the current filters
+        </p>
+        <FilterGroup
+          title="Format"
+          options={exportFormatOptions}
+          value={options.format}
+          onChange={(value) => setOptions((prev) => ({ ...prev, format: value }))}
+        />
+        <FilterGroup
+          title="Scope"
+          options={exportScopeOptions}
+          value={options.scope}
+          onChange={(value) => setOptions((prev) => ({ ...prev, scope: value }))}
+        />
+        {needsColumns && (
+          <div className="mt-4">
+            <p className="text-xs uppercase tracking-wide text-slate-400 mb-2">Review columns</p>
+            <div className="grid grid-cols-2 gap-1">
+              {reviewExportColumns.map((column) => (
+                <label key={column.key} className="flex items-center gap-2 text-sm text-slate-600">
+                  <input
+                    type="checkbox"
+                    checked={options.columns.includes(column.key)}
+                    onChange={() => toggleColumn(column.key)}
+                  />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+        <div className="mt-6 flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-xl border border-slate-200 px-4 py-2 text-sm font-medium text-slate-600"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            disabled={needsColumns && !options.columns.length}
+            onClick={() => onExport(options)}
+            className="rounded-xl bg-indigo-600 px-4 py-2 text-sm font-medium text-white shadow disabled:opacity-40"
+          >
+            Export
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const ruleWeightFields = [
+  { key: "negativeShare", label: "Negative share", hint: "Share of scored reviews labelled negative" },
+  { key: "sentiment", label: "Average sentiment", hint: "Lower average sentiment scores higher" },
+  { key: "rating", label: "Average rating", hint: "How far the average rating falls below 5★" },
+  { key: "technical", label: "Technical theme", hint: "Share of reviews mentioning technical issues" },
+  { key: "volume", label: "Review volume", hint: "Review count, log-scaled against the busiest session" },
+];
+const ruleCutoffFields = [
+  { group: "status", key: "sentimentBelow", label: "Concerning when avg sentiment is below", min: -1, max: 1, step: 0.05 },
+  { group: "status", key: "negativeShareAtLeast", label: "…or negative share is at least", min: 0, max: 1, step: 0.05 },
+  {
+    group: "status",
+    key: "minReviewsForProblematic",
+    label: "Scored reviews needed for “problematic” (fewer → “mixed”)",
+    min: 1,
+    max: 100,
+    step: 1,
+  },
+  { group: "bands", key: "high", label: "Red attention bar from", min: 0, max: 100, step: 1 },
+  { group: "bands", key: "medium", label: "Amber attention bar from", min: 0, max: 100, step: 1 },
+];
+
+const sameRules = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function DataIssues({ error, staleData }) {
+  const issues = error.issues ?? [];
+  return (
+    <div className="rounded-2xl border border-rose-200 bg-rose-50 p-5 shadow-sm print:hidden">
+      <p className="text-sm font-semibold text-rose-700">Could not load data</p>
+      <p className="text-sm text-rose-700">{error.message || String(error)}</p>
+      {staleData && <p className="text-xs text-rose-600 mt-1">Still showing the previously loaded data.</p>}
+      {issues.length > 0 && (
+        <ul className="mt-3 space-y-1 text-xs text-rose-700">
+          {issues.map((issue, index) => (
+            <li key={`${issue.path}-${index}`}>
+              <code className="font-mono font-semibold">{issue.path}</code> — {issue.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const dataSourceOptions = Object.entries(DATA_SOURCE_TYPES).map(([value, type]) => ({ label: type.label, value }));
+
+function DataSourceSettings({ source, onChange, onFile, loading, sessions }) {
+  const [url, setUrl] = useState(source.url ?? "");
+  const reviewCount = sessions?.reduce((sum, session) => sum + (session.reviews?.length ?? 0), 0) ?? 0;
+  const [pendingType, setPendingType] = useState(source.type);
+
+  const selectType = (type) => {
+    setPendingType(type);
+    // Static sources load straight away; REST waits for a URL and uploads for a file.
+    if (type === "analysis" || type === "enriched") onChange({ ...source, type });
+  };
+
+  return (
+    <div className="rounded-2xl border bg-white p-5 shadow-sm space-y-4">
+      <div>
+        <p className="text-sm font-semibold text-slate-900">Data source</p>
+        <p className="text-xs text-slate-500">
+          {loading
+            ? "Loading…"
+            : sessions?.length
+            ? `${sessions.length} sessions and ${reviewCount} reviews from ${DATA_SOURCE_TYPES[source.type]?.label ?? source.type}`
+            : "Nothing loaded yet"}
+        </p>
+      </div>
+      <FilterGroup title="Source" options={dataSourceOptions} value={pendingType} onChange={selectType} />
+      <p className="text-xs text-slate-500">{DATA_SOURCE_TYPES[pendingType]?.description}</p>
+      {pendingType === "rest" && (
+        <form
+          className="flex flex-wrap gap-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            onChange({ type: "rest", url: url.trim() });
+          }}
+        >
+          <input
+            type="url"
+            required
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="https://api.example.com/reviews"
+            className="flex-1 min-w-[240px] rounded-xl border border-slate-200 px-3 py-2 text-sm"
+          />
+          <button type="submit" className="rounded-xl bg-indigo-600 px-4 py-2 text-sm font-medium text-white shadow">
+            Load
+          </button>
+        </form>
+      )}
+      {pendingType === "upload" && (
+        <label className="block cursor-pointer rounded-xl border-2 border-dashed border-slate-200 px-4 py-6 text-center text-sm text-slate-500">
+          Choose a CSV or JSON file, or drop one anywhere on the page
+          <input
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            className="hidden"
+            onChange={(e) => {
+              onFile(e.target.files?.[0]);
+              e.target.value = "";
+            }}
+          />
+        </label>
+      )}
+      <p className="text-[11px] text-slate-400">
+        Files and endpoints may hold sessions (the sessions_analysis.json shape) or a flat list of reviews
+        (reviews_enriched.json, reviews_deduped.csv or a dashboard export). Scores and statuses are always recomputed
+        from the reviews.
+      </p>
+    </div>
+  );
+}
+
+const OVERRIDES_FILE_VERSION = 1;
+const themeValues = optionValues(themeOptions);
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === "string");
+const overrideValidators = {
+  sentiment_label: (value) => optionValues(sentimentOptions).includes(value) && value !== "all",
+  themes: (value) => Array.isArray(value) && value.every((theme) => themeValues.includes(theme)),
+  primary_theme: (value) => value === null || themeValues.includes(value),
+  pain_points: isStringList,
+  feature_requests: isStringList,
+};
+
+// Accepts the exported `{ version, overrides }` envelope or a bare `{ review_id: override }`
+// map. Unknown fields and invalid values are dropped rather than failing the whole import.
+function parseOverridesFile(text) {
+  const json = JSON.parse(text);
+  const source = json?.overrides ?? json;
+  if (!source || typeof source !== "object" || Array.isArray(source)) {
+    throw new Error("Expected an object of overrides keyed by review_id");
+  }
+  const overrides = {};
+  let skipped = 0;
+  for (const [reviewId, entry] of Object.entries(source)) {
+    const valid = Object.entries(entry ?? {}).filter(([field, value]) => overrideValidators[field]?.(value));
+    if (!valid.length) {
+      skipped += 1;
+      continue;
+    }
+    overrides[reviewId] = { ...Object.fromEntries(valid), updated_at: entry.updated_at ?? new Date().toISOString() };
+  }
+  return { overrides, skipped };
+}
+
+function OverridesManager({ overrides, onImport, onClear, onError }) {
+  const entries = Object.values(overrides);
+  const fieldCounts = overrideFields
+    .map((field) => ({ field, count: entries.filter((entry) => field in entry).length }))
+    .filter((item) => item.count);
+
+  const handleExport = () => {
+    const payload = { version: OVERRIDES_FILE_VERSION, exported_at: new Date().toISOString(), overrides };
+    downloadFile(JSON.stringify(payload, null, 2), `review-overrides-${Date.now()}.json`, "application/json");
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onImport(parseOverridesFile(await file.text()));
+    } catch (err) {
+      onError(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="rounded-2xl border bg-white p-5 shadow-sm space-y-4">
+      <div>
+        <p className="text-sm font-semibold text-slate-900">Manual relabels</p>
+        <p className="text-xs text-slate-500">
+          {entries.length
+            ? `${entries.length} review${entries.length === 1 ? "" : "s"} corrected from the review cards (“Edit labels”)`
+            : "Corrections made with “Edit labels” on any review card show up here"}
+        </p>
+      </div>
+      {fieldCounts.length > 0 && <div>{fieldCounts.map(({ field, count }) => chip(`${field} ×${count}`))}</div>}
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          disabled={!entries.length}
+          onClick={handleExport}
+          className="rounded-xl border border-slate-200 px-4 py-2 text-sm font-medium text-slate-600 disabled:opacity-40"
+        >
+          Export JSON
+        </button>
+        <label className="cursor-pointer rounded-xl border border-slate-200 px-4 py-2 text-sm font-medium text-slate-600">
+          Import JSON
+          <input type="file" accept="application/json,.json" className="hidden" onChange={handleFile} />
+        </label>
+        <button
+          type="button"
+          disabled={!entries.length}
+          onClick={() => {
+            if (window.confirm("Remove every manual relabel? Export them first if you may need them again.")) onClear();
+          }}
+          className="text-xs font-medium text-rose-600 disabled:opacity-40"
+        >
+          Clear all
+        </button>
+      </div>
+      <p className="text-[11px] text-slate-400">
+        Relabels are stored in this browser and merged over sessions_analysis.json; imported files win over
+        existing relabels for the same review.
+      </p>
+    </div>
+  );
+}
+
+function ScoringRulesEditor({ sessions, rules, onSave }) {
+  const [draft, setDraft] = useState(rules);
+  const preview = useMemo(() => rescoreSessions(sessions, draft), [sessions, draft]);
+  const rows = useMemo(() => {
+    const current = new Map(sessions.map((session) => [session.session_id, session]));
+    return preview.map((next) => ({ next, current: current.get(next.session_id) }));
+  }, [sessions, preview]);
+  const changedCount = rows.filter(({ current, next }) => current?.status !== next.status).length;
+  const totalWeight = Object.values(draft.weights).reduce((sum, weight) => sum + weight, 0);
+  const bandsInvalid = draft.bands.medium > draft.bands.high;
+  const dirty = !sameRules(draft, rules);
+
+  const setField = (group, key, value) => {
+    if (!Number.isFinite(value)) return;
+    setDraft((prev) => ({ ...prev, [group]: { ...prev[group], [key]: value } }));
+  };
+
+  return (
+    <div className="grid gap-6 xl:grid-cols-[1fr,1.4fr]">
+      <div className="rounded-2xl border bg-white p-5 shadow-sm space-y-6">
+        <div>
+          <p className="text-sm font-semibold text-slate-900">Attention score weights</p>
+          <p className="text-xs text-slate-500">
+            Each signal is scaled to 0–1; weights are normalized, so only their ratio matters.
+          </p>
+          <div className="mt-4 space-y-4">
+            {ruleWeightFields.map((field) => {
+              const weight = draft.weights[field.key];
+              return (
+                <div key={field.key}>
+                  <div className="flex items-center justify-between text-sm">
+                    <p className="font-medium text-slate-700">{field.label}</p>
+                    <p className="text-xs text-slate-500">
+                      {weight.toFixed(2)} • {prettyPercent(totalWeight ? (weight / totalWeight) * 100 : 0)} of score
+                    </p>
+                  </div>
+                  <input
+                    type="range"
+                    min={0}
+                    max={1}
+                    step={0.05}
+                    value={weight}
+                    onChange={(e) => setField("weights", field.key, Number(e.target.value))}
+                    className="w-full accent-indigo-600"
+                  />
+                  <p className="text-[11px] text-slate-400">{field.hint}</p>
+                </div>
+              );
+            })}
+          </div>
+          {!totalWeight && <p className="mt-2 text-xs text-rose-600">With every weight at 0 all scores are 0.</p>}
+        </div>
+        <div>
+          <p className="text-sm font-semibold text-slate-900">Status and colour cutoffs</p>
+          <div className="mt-3 space-y-2">
+            {ruleCutoffFields.map((field) => (
+              <label key={`${field.group}.${field.key}`} className="flex items-center justify-between gap-3 text-sm">
+                <span className="text-slate-600">{field.label}</span>
+                <input
+                  type="number"
+                  min={field.min}
+                  max={field.max}
+                  step={field.step}
+                  value={draft[field.group][field.key]}
+                  onChange={(e) => setField(field.group, field.key, e.target.valueAsNumber)}
+                  className="w-20 rounded-lg border border-slate-200 px-2 py-1 text-right text-sm"
+                />
+              </label>
+            ))}
+          </div>
+          {bandsInvalid && <p className="mt-2 text-xs text-rose-600">The amber cutoff must not exceed the red one.</p>}
+        </div>
+        <div className="flex flex-wrap items-center justify-between gap-2 border-t pt-4">
+          <button
+            type="button"
+            disabled={sameRules(draft, DEFAULT_RULES)}
+            onClick={() => setDraft(DEFAULT_RULES)}
+            className="text-xs font-medium text-indigo-600 disabled:opacity-40"
+          >
+            Reset to defaults
+          </button>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              disabled={!dirty}
+              onClick={() => setDraft(rules)}
+              className="rounded-xl border border-slate-200 px-4 py-2 text-sm font-medium text-slate-600 disabled:opacity-40"
+            >
+              Discard
+            </button>
+            <button
+              type="button"
+              disabled={!dirty || bandsInvalid}
+              onClick={() => onSave(draft, changedCount)}
+              className="rounded-xl bg-indigo-600 px-4 py-2 text-sm font-medium text-white shadow disabled:opacity-40"
+            >
+              Save rules
+            </button>
+          </div>
+        </div>
+        <p className="text-[11px] text-slate-400">
+          Rules are saved in this browser. The analysis script keeps using the defaults from src/lib/scoring.js.
+        </p>
+      </div>
+
+      <div className="rounded-2xl border bg-white shadow-sm overflow-hidden">
+        <div className="p-5 border-b">
+          <p className="text-sm font-semibold text-slate-900">Preview</p>
+          <p className="text-xs text-slate-500">
+            {dirty
+              ? `${changedCount} session${changedCount === 1 ? "" : "s"} would change status under these rules`
+              : "Edit the rules to preview their effect; changed sessions are highlighted"}
+          </p>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-slate-50 text-left text-xs uppercase tracking-wide text-slate-500">
+              <tr>
+                <th className="px-5 py-3 font-medium">Session</th>
+                <th className="px-5 py-3 font-medium">Attention</th>
+                <th className="px-5 py-3 font-medium">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {rows.map(({ current, next }) => {
+                const statusChanged = current?.status !== next.status;
+                const delta = next.attention_score - (current?.attention_score ?? 0);
+                return (
+                  <tr key={next.session_id} className={statusChanged ? "bg-amber-50" : undefined}>
+                    <td className="px-5 py-3 max-w-[280px] truncate text-slate-700">{formatSessionTitle(next)}</td>
+                    <td className="px-5 py-3 whitespace-nowrap">
+                      <span className="font-semibold">{next.attention_score}</span>
+                      {delta !== 0 && (
+                        <span className={`ml-2 text-xs ${delta > 0 ? "text-rose-600" : "text-emerald-600"}`}>
+                          {delta > 0 ? "+" : ""}
+                          {delta}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-5 py-3 whitespace-nowrap">
+                      {statusChanged && current && (
+                        <>
+                          {statusPill(current.status)}
+                          <span className="mx-1 text-slate-400">→</span>
+                        </>
+                      )}
+                      {statusPill(next.status)}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const REPORT_TOP_SESSIONS = 5;
+const REPORT_NEGATIVE_REVIEWS = 5;
+
+function ExecutiveReport({ cards, monthlyTrend, sessions, reviews, dateRangeLabel, filtersLabel }) {
+  const topSessions = useMemo(
+    () => [...sessions].sort((a, b) => b.attention_score - a.attention_score).slice(0, REPORT_TOP_SESSIONS),
+    [sessions]
+  );
+  const negativeReviews = useMemo(
+    () =>
+      sortReviews(
+        reviews.filter((review) => review.sentiment_label === "negative" && review.review_text),
+        defaultReviewSort
+      ).slice(0, REPORT_NEGATIVE_REVIEWS),
+    [reviews]
+  );
+
+  return (
+    <div className="space-y-6 print:space-y-4">
+      <div className="rounded-2xl border bg-white p-5 shadow-sm print:shadow-none flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <p className="text-xs uppercase tracking-wide text-slate-400">Selftalk customer insights</p>
+          <h2 className="text-xl font-semibold text-slate-900">Executive review report</h2>
+          <p className="text-sm text-slate-500 mt-1">
+            {dateRangeLabel} • Filters: {filtersLabel} • Generated {format(new Date(), "dd MMM yyyy HH:mm")}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => window.print()}
+          className="rounded-xl bg-indigo-600 px-4 py-2 text-sm font-medium text-white shadow print:hidden"
+        >
+          Print / Save as PDF
+        </button>
+      </div>
+
+      <KPICards cards={cards} />
+      <div className="break-inside-avoid">
+        <PerformanceCard data={monthlyTrend} />
+      </div>
+
+      <div className="rounded-2xl border bg-white p-5 shadow-sm print:shadow-none break-inside-avoid">
+        <p className="text-sm font-semibold text-slate-900">Top {topSessions.length} sessions by attention score</p>
+        <p className="text-xs text-slate-500">Highest-risk journeys and what reviewers complain about</p>
+        <ol className="mt-4 space-y-4">
+          {topSessions.map((session, index) => (
+            <li key={session.session_id} className="break-inside-avoid">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-sm font-semibold text-slate-400">{index + 1}.</span>
+                <p className="text-sm font-semibold text-slate-900">{formatSessionTitle(session)}</p>
+                {statusPill(session.status)}
+              </div>
+              <p className="text-xs text-slate-500 mt-1">
+                Attention {session.attention_score} • Avg rating {session.avg_rating ?? "—"} • Avg sentiment{" "}
+                {formatSentiment(session.avg_sentiment)} • {formatShare(session.pct_negative)} negative •{" "}
+                {session.n_reviews} reviews
+              </p>
+              <ul className="mt-2 list-disc pl-5 text-sm text-slate-600 space-y-1">
+                {(session.top_pain_points || []).slice(0, 3).map((point) => (
+                  <li key={point.text}>{point.text}</li>
+                ))}
+                {!session.top_pain_points?.length && <li className="text-slate-400">No pain points detected.</li>}
+              </ul>
+            </li>
+          ))}
+          {!topSessions.length && <li className="text-sm text-slate-500">No sessions match the current filters.</li>}
+        </ol>
+      </div>
+
+      <div className="rounded-2xl border bg-white shadow-sm print:shadow-none overflow-hidden break-inside-avoid">
+        <div className="p-5 border-b">
+          <p className="text-sm font-semibold text-slate-900">Newest negative reviews</p>
+          <p className="text-xs text-slate-500">Latest {REPORT_NEGATIVE_REVIEWS} reviews labelled negative</p>
+        </div>
+        <ul className="divide-y">
+          {negativeReviews.map((review) => (
+            <li key={review.review_id} className="p-5 break-inside-avoid">
+              <div className="flex flex-wrap items-center gap-2 text-xs text-slate-500">
+                <span className="font-medium text-slate-900">{formatSessionTitle(review.__session)}</span>
+                <span title={review.review_age}>• {formatReviewDate(review)}</span>
+                <span className="text-amber-500">{"★".repeat(Math.round(review.rating || 0)).padEnd(5, "☆")}</span>
+              </div>
+              <p className="mt-1 text-sm text-slate-600 whitespace-pre-line">{review.review_text}</p>
+            </li>
+          ))}
+          {!negativeReviews.length && <li className="p-5 text-sm text-slate-500">No negative reviews in this period.</li>}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default function App() {
+  const [storedRules, setStoredRules] = usePersistentState("scoringRules", DEFAULT_RULES);
+  const rules = useMemo(() => mergeRules(storedRules), [storedRules]);
+  const [dataSource, setDataSource] = usePersistentState("dataSource", DEFAULT_DATA_SOURCE);
+  const { sessions, error, loading, loadFile, overrides, setOverrides } = useSessions(rules, dataSource);
+  const { snapshots, error: snapshotError } = useSnapshots(rules, overrides);
+  const {
+    rules: alertRules,
+    setRules: setAlertRules,
+    watchlist,
+    setWatchlist,
+    alerts,
+    setAlerts,
+  } = useAlerts(sessions);
+  const openAlertCount = alerts.filter(isOpenAlert).length;
+  const [baselineDate, setBaselineDate] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const [initialUrlState] = useState(readUrlState);
+  const [activeView, setActiveView] = useState(initialUrlState.view);
+  const [selectedSessionId, setSelectedSessionId] = useState(initialUrlState.sessionId);
+  const [compareIds, setCompareIds] = useState(initialUrlState.compareIds);
+  const [filtersOpen, setFiltersOpen] = useState(false);
+  const [filters, setFilters] = useState(initialUrlState.filters);
+  const [dateRange, setDateRange] = useState(initialUrlState.dateRange);
+  const [sessionQuery, setSessionQuery] = useState(initialUrlState.query);
+  const [sessionScope, setSessionScope] = useState(initialUrlState.scope);
+  const [sessionSort, setSessionSort] = useState(initialUrlState.sortBy);
+  const [reviewQuery, setReviewQuery] = useState(initialUrlState.reviewQuery);
+  const [reviewSort, setReviewSort] = useState(initialUrlState.reviewSort);
+  const [toast, setToast] = useState(null);
+  const [exportOpen, setExportOpen] = useState(false);
+
+  const scrapeDate = useMemo(() => getScrapeDate(sessions), [sessions]);
+  // Defaults to the most recent snapshot taken before the current data was scraped.
+  const baseline = useMemo(() => {
+    const candidates = getBaselineCandidates(snapshots, scrapeDate);
+    return candidates.find((snapshot) => snapshot.date === baselineDate) ?? candidates[candidates.length - 1] ?? null;
+  }, [snapshots, scrapeDate, baselineDate]);
+  const allReviews = useMemo(() => {
+    const reviews = getAllReviews(sessions);
+    if (!baseline) return reviews;
+    const knownIds = new Set(baseline.sessions.flatMap((session) => session.reviews.map((review) => review.review_id)));
+    return reviews.map((review) => (knownIds.has(review.review_id) ? review : { ...review, __new: true }));
+  }, [sessions, baseline]);
+  const newReviews = useMemo(() => sortReviews(allReviews.filter((review) => review.__new), defaultReviewSort), [allReviews]);
+  const selectedSession = useMemo(
+    () => sessions?.find((session) => session.session_id === selectedSessionId) ?? null,
+    [sessions, selectedSessionId]
+  );
+  const dateBounds = useMemo(
+    () => resolveDateRange(dateRange, getLatestReviewDate(allReviews) ?? new Date()),
+    [dateRange, allReviews]
+  );
+  const rangedReviews = useMemo(() => filterReviewsByDate(allReviews, dateBounds), [allReviews, dateBounds]);
+  const filteredReviews = useMemo(() => applyReviewFilters(rangedReviews, filters), [rangedReviews, filters]);
+  const filtersActive = hasActiveFilters(filters, dateRange);
+  // Sessions that still have at least one review once every filter is applied.
+  const filteredSessionIds = useMemo(
+    () => new Set(filteredReviews.map((review) => review.session_id)),
+    [filteredReviews]
+  );
+  // Those sessions re-summarized over their filtered reviews only, so rollups agree with the
+  // review list. Scores stay relative to the whole corpus (prior and volume scale).
+  const filteredSessions = useMemo(() => {
+    if (!sessions) return [];
+    if (!filtersActive) return sessions;
+    const bySession = new Map();
+    for (const review of filteredReviews) {
+      if (!bySession.has(review.session_id)) bySession.set(review.session_id, []);
+      bySession.get(review.session_id).push(review);
+    }
+    const context = {
+      maxReviews: Math.max(0, ...sessions.map((session) => session.reviews?.length ?? 0)),
+      prior: corpusPrior(allReviews),
+    };
+    return sessions
+      .filter((session) => bySession.has(session.session_id))
+      .map((session) => {
+        const reviews = bySession.get(session.session_id);
+        return { ...session, ...summarizeSession(session, reviews, rules, context), reviews };
+      });
+  }, [sessions, allReviews, filteredReviews, filtersActive, rules]);
+  const dateRangeLabel = useMemo(() => getDateRangeLabel(allReviews, dateBounds), [allReviews, dateBounds]);
+  const sentimentCounts = useMemo(() => {
+    return filteredReviews.reduce(
+      (acc, review) => {
+        acc[review.sentiment_label in acc ? review.sentiment_label : "neutral"] += 1;
+        return acc;
+      },
+      { positive: 0, neutral: 0, negative: 0, unscored: 0 }
+    );
+  }, [filteredReviews]);
+  // Counted with every filter except the language one, so the chips stay put while toggling.
+  const languageCounts = useMemo(() => {
+    const counts = new Map();
+    for (const review of applyReviewFilters(rangedReviews, { ...filters, languages: [] })) {
+      const language = review.language || "und";
+      counts.set(language, (counts.get(language) || 0) + 1);
+    }
+    return [...counts.entries()]
+      .map(([language, count]) => ({ language, count }))
+      .sort((a, b) => b.count - a.count);
+  }, [rangedReviews, filters]);
+  const totalReviews = filteredReviews.length;
+  const avgRating = useMemo(() => {
+    const values = filteredReviews
+      .map((r) => (Number.isFinite(r.rating) ? Number(r.rating) : null))
+      .filter((v) => v != null);
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  }, [filteredReviews]);
+  const monthlyTrend = useMemo(() => buildMonthlyTrend(filteredReviews, { fillGaps: true }), [filteredReviews]);
+  const anomalies = useMemo(() => buildAnomalyList(filteredReviews, sessions), [filteredReviews, sessions]);
+  const recentReviews = useMemo(() => {
+    return [...filteredReviews]
+      .filter((r) => r.review_text)
       .sort((a, b) => {
         const da = a.review_date ? Date.parse(a.review_date) : 0;
         const db = b.review_date ? Date.parse(b.review_date) : 0;
@@ -762,6 +4826,56 @@ export default function App() {
     setFiltersOpen(false);
   }, [activeView]);
 
+  useEffect(() => {
+    const hash = buildUrlHash({
+      view: activeView,
+      sessionId: selectedSessionId,
+      compareIds,
+      filters,
+      dateRange,
+      query: sessionQuery,
+      scope: sessionScope,
+      sortBy: sessionSort,
+      reviewQuery,
+      reviewSort,
+    });
+    if (window.location.hash === hash) return;
+    // Switching views pushes a history entry so back/forward move between them;
+    // filter, search and sort tweaks only replace the current one.
+    const current = readUrlState();
+    const sameView = current.view === activeView && current.sessionId === (activeView === "session" ? selectedSessionId : null);
+    window.history[sameView ? "replaceState" : "pushState"](null, "", hash);
+  }, [
+    activeView,
+    selectedSessionId,
+    compareIds,
+    filters,
+    dateRange,
+    sessionQuery,
+    sessionScope,
+    sessionSort,
+    reviewQuery,
+    reviewSort,
+  ]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const next = readUrlState();
+      setActiveView(next.view);
+      if (next.sessionId) setSelectedSessionId(next.sessionId);
+      if (next.compareIds.length) setCompareIds(next.compareIds);
+      setFilters(next.filters);
+      setDateRange(next.dateRange);
+      setSessionQuery(next.query);
+      setSessionScope(next.scope);
+      setSessionSort(next.sortBy);
+      setReviewQuery(next.reviewQuery);
+      setReviewSort(next.reviewSort);
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
   useEffect(() => {
     if (!toast) return;
     const id = setTimeout(() => setToast(null), 3000);
@@ -773,37 +4887,92 @@ export default function App() {
       if (prev[key] === value) return prev;
       return { ...prev, [key]: value };
     });
+    // The "needs attention" scope only holds problematic and mixed sessions.
+    if (key === "status" && value === "successful") setSessionScope("all");
   };
 
-  const handleExport = () => {
-    setFiltersOpen(false);
-    if (!filteredReviews.length) {
+  const handleSessionScopeChange = (scope) => {
+    setSessionScope(scope);
+    if (scope === "attention" && filters.status === "successful") handleFilterChange("status", "all");
+  };
+
+  const handleOverride = (reviewId, patch) => {
+    setOverrides((prev) => {
+      const next = { ...prev };
+      if (patch) next[reviewId] = { ...patch, updated_at: new Date().toISOString() };
+      else delete next[reviewId];
+      return next;
+    });
+    setToast(patch ? "Labels saved" : "Reverted to model labels");
+  };
+
+  const handleToggleWatch = (session) => {
+    const watched = Boolean(watchlist[session.session_id]);
+    setWatchlist((prev) => {
+      const next = { ...prev };
+      if (watched) delete next[session.session_id];
+      else next[session.session_id] = watchEntry(session);
+      return next;
+    });
+    setToast(watched ? "Stopped watching" : `Watching ${formatSessionTitle(session)}`);
+  };
+
+  const handleAcknowledge = (ids) => {
+    const acknowledgedAt = new Date().toISOString();
+    setAlerts((prev) =>
+      prev.map((alert) => (ids.includes(alert.id) && !alert.acknowledged_at ? { ...alert, acknowledged_at: acknowledgedAt } : alert))
+    );
+  };
+
+  const handleSelectSession = (sessionId) => {
+    setSelectedSessionId(sessionId);
+    setActiveView("session");
+  };
+
+  // Lists the reviews behind an anomaly: its month, its session and the metric's own filter.
+  const handleOpenAnomaly = (anomaly) => {
+    const month = parseISO(`${anomaly.monthKey}-01`);
+    // Start from a clean slate so leftover filters cannot hide the reviews behind the anomaly.
+    setFilters({ ...defaultFilters, session: anomaly.session_id ?? "", ...anomalyReviewFilters[anomaly.metric] });
+    setReviewQuery("");
+    setDateRange({
+      preset: "custom",
+      from: format(startOfMonth(month), "yyyy-MM-dd"),
+      to: format(endOfMonth(month), "yyyy-MM-dd"),
+    });
+    if (anomaly.metric === "avgRating") setReviewSort({ key: "rating", dir: "asc" });
+    setActiveView("reviews");
+  };
+
+  const handleResetFilters = () => {
+    setFilters(defaultFilters);
+    setDateRange(defaultDateRange);
+  };
+  const resetFilters = filtersActive ? handleResetFilters : undefined;
+
+  const handleExport = (options) => {
+    // Session aggregates cover the filtered reviews only, matching the review export.
+    const exportSessions = filteredSessions;
+    if (options.scope !== "sessions" && !filteredReviews.length) {
       setToast("No reviews to export");
       return;
     }
-    const header = "review_id,session_id,review_date,rating,sentiment_label,preview";
-    const rows = filteredReviews.map((review) => {
-      const values = [
-        review.review_id ?? "",
-        review.session_id ?? "",
-        review.review_date ?? "",
-        review.rating ?? "",
-        review.sentiment_label ?? "",
-        (review.review_text || "").replace(/\s+/g, " ").trim().slice(0, 160),
-      ];
-      return values.map(escapeCsvValue).join(",");
-    });
-    const csv = [header, ...rows].join("\n");
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement("a");
-    link.href = url;
-    link.download = `reviews-export-${Date.now()}.csv`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-    setToast(`Exported ${filteredReviews.length} reviews`);
+    const metadata = {
+      generated_at: new Date().toISOString(),
+      date_range: dateRangeLabel,
+      date_preset: dateRange.preset,
+      filters: describeFilters(filters),
+      reviews: filteredReviews.length,
+      sessions: exportSessions.length,
+    };
+    const files = buildExportFiles(options, { reviews: filteredReviews, sessions: exportSessions, metadata });
+    files.forEach((file) => downloadFile(file.content, file.filename, file.type));
+    setExportOpen(false);
+    setToast(
+      options.scope === "sessions"
+        ? `Exported ${exportSessions.length} sessions`
+        : `Exported ${filteredReviews.length} reviews`
+    );
   };
 
   const handleShare = async () => {
@@ -820,7 +4989,7 @@ export default function App() {
       } else {
         setToast("Copy this link: " + shareUrl);
       }
-    } catch (error) {
+    } catch {
       setToast("Share canceled");
     }
   };
@@ -851,15 +5020,72 @@ export default function App() {
     },
   ];
 
-  if (loading) return <div className="p-6">Loading…</div>;
-  if (error) return <div className="p-6 text-rose-600">Failed to load sessions_analysis.json — {String(error)}</div>;
-  if (!sessions?.length) return <div className="p-6">No data.</div>;
+  const handleDataFile = async (file) => {
+    setDragging(false);
+    if (!file) return;
+    if (await loadFile(file)) {
+      setDataSource((prev) => ({ ...prev, type: "upload" }));
+      setToast(`Loaded ${file.name}`);
+    }
+  };
+
+  const dropTarget = {
+    onDragEnter: (e) => {
+      if (e.dataTransfer?.types?.includes("Files")) setDragging(true);
+    },
+  };
+  const dropOverlay = dragging && (
+    <div
+      className="fixed inset-0 z-40 flex items-center justify-center bg-indigo-600/10 p-6 print:hidden"
+      onDragOver={(e) => e.preventDefault()}
+      onDragLeave={() => setDragging(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        handleDataFile(e.dataTransfer.files?.[0]);
+      }}
+    >
+      <div className="pointer-events-none rounded-2xl border-2 border-dashed border-indigo-400 bg-white px-10 py-8 text-center shadow-xl">
+        <p className="text-sm font-semibold text-slate-900">Drop a CSV or JSON file</p>
+        <p className="text-xs text-slate-500">Reviews or sessions; it replaces the current data until you reload</p>
+      </div>
+    </div>
+  );
+  const dataSourceSettings = (
+    <DataSourceSettings
+      key={dataSource.type}
+      source={dataSource}
+      onChange={setDataSource}
+      onFile={handleDataFile}
+      loading={loading}
+      sessions={sessions}
+    />
+  );
+
+  if (loading && !sessions) return <div className="p-6">Loading…</div>;
+  if (!sessions?.length) {
+    return (
+      <div className="min-h-screen bg-slate-100 p-6 space-y-6" {...dropTarget}>
+        {error ? (
+          <DataIssues error={error} />
+        ) : (
+          <div className="rounded-2xl border bg-white p-5 text-sm text-slate-500 shadow-sm">
+            {dataSource.type === "upload"
+              ? "Uploaded files are not kept between visits. Drop the file again or pick another source."
+              : "No data loaded. Pick a data source or drop a file onto the page."}
+          </div>
+        )}
+        {dataSourceSettings}
+        {dropOverlay}
+      </div>
+    );
+  }
 
   return (
-    <div className="min-h-screen bg-slate-100 text-slate-900">
+    <div className="min-h-screen bg-slate-100 text-slate-900 print:bg-white" {...dropTarget}>
       <div className="flex min-h-screen">
         <Sidebar
           activeView={activeView}
+          badges={{ alerts: openAlertCount }}
           onSelectView={(view) => {
             setActiveView(view);
             setFiltersOpen(false);
@@ -868,36 +5094,227 @@ export default function App() {
         <div className="flex-1 flex flex-col">
           <TopBar
             dateRange={dateRangeLabel}
+            dateRangeValue={dateRange}
+            dateRangeBounds={dateBounds}
+            onDateRangeChange={setDateRange}
             activeView={activeView}
             filters={filters}
             onFilterChange={handleFilterChange}
+            onResetFilters={resetFilters}
             filtersOpen={filtersOpen}
             onToggleFilters={() => setFiltersOpen((prev) => !prev)}
-            onExport={handleExport}
+            onExport={() => {
+              setFiltersOpen(false);
+              setExportOpen(true);
+            }}
+            onReport={() => {
+              setFiltersOpen(false);
+              setActiveView("report");
+            }}
             onShare={handleShare}
           />
           <main className="flex-1 px-4 sm:px-6 lg:px-10 py-6 space-y-8">
+            {error && <DataIssues error={error} staleData />}
             {activeView === "dashboard" && (
               <>
-                <KPICards cards={cards} />
-                <PerformanceCard data={monthlyTrend} />
+                <KPICards cards={cards} onResetFilters={resetFilters} />
+                <PerformanceCard
+                  data={monthlyTrend}
+                  anomalies={anomalies.filter((anomaly) => !anomaly.session_id)}
+                  onResetFilters={resetFilters}
+                  yearActive={dateRange.preset === "year"}
+                  onToggleYear={() =>
+                    setDateRange((prev) => ({ ...defaultDateRange, preset: prev.preset === "year" ? "all" : "year" }))
+                  }
+                />
+                <AnomaliesCard
+                  anomalies={anomalies}
+                  subtitle="Months where volume, negative reviews, average rating or technical mentions broke from the months before, across all sessions and per session"
+                  onOpenReviews={handleOpenAnomaly}
+                  onSelectSession={handleSelectSession}
+                  onResetFilters={resetFilters}
+                />
+                <RecentReviewsCard reviews={recentReviews} onResetFilters={resetFilters} onOverride={handleOverride} />
               </>
             )}
             {activeView === "reviews" && (
               <>
                 <div className="grid gap-6 xl:grid-cols-[2fr,1fr]">
-                  <ReviewTrendChart data={chronologicalTrend} />
-                  <SentimentSummary sentimentCounts={sentimentCounts} totalReviews={filteredTotalReviews} />
+                  <ReviewTrendChart reviews={filteredReviews} onResetFilters={resetFilters} />
+                  <SentimentSummary
+                    sentimentCounts={sentimentCounts}
+                    totalReviews={totalReviews}
+                    languageCounts={languageCounts}
+                    activeLanguages={filters.languages}
+                    onToggleLanguage={(language) =>
+                      handleFilterChange(
+                        "languages",
+                        filters.languages.includes(language)
+                          ? filters.languages.filter((value) => value !== language)
+                          : [...filters.languages, language]
+                      )
+                    }
+                    onResetFilters={resetFilters}
+                  />
                 </div>
-                <RecentReviewsCard reviews={recentReviews} />
-                <SessionsTable sessions={sessions} statusFilter={filters.status} />
+                <ReviewExplorer
+                  reviews={filteredReviews}
+                  phrase={filters.phrase}
+                  query={reviewQuery}
+                  onQueryChange={setReviewQuery}
+                  sortBy={reviewSort}
+                  onSortChange={setReviewSort}
+                  onSelectSession={handleSelectSession}
+                  onResetFilters={resetFilters}
+                  onOverride={handleOverride}
+                />
+                <SessionsTable
+                  sessions={filteredSessions}
+                  scope={sessionScope}
+                  onScopeChange={handleSessionScopeChange}
+                  query={sessionQuery}
+                  onQueryChange={setSessionQuery}
+                  sortBy={sessionSort}
+                  onSortChange={setSessionSort}
+                  onSelectSession={handleSelectSession}
+                  bands={rules.bands}
+                  onResetFilters={resetFilters}
+                />
+              </>
+            )}
+            {activeView === "report" && (
+              <ExecutiveReport
+                cards={cards}
+                monthlyTrend={monthlyTrend}
+                sessions={filteredSessions}
+                reviews={filteredReviews}
+                dateRangeLabel={dateRangeLabel}
+                filtersLabel={describeFilters(filters)}
+              />
+            )}
+            {activeView === "presenters" && (
+              <PresentersView
+                sessions={filteredSessions}
+                bands={rules.bands}
+                minReviews={rules.status.minReviewsForProblematic}
+                onSelectSession={handleSelectSession}
+                onResetFilters={resetFilters}
+              />
+            )}
+            {activeView === "compare" && (
+              <SessionComparison
+                sessions={filteredSessions}
+                selectedIds={compareIds}
+                onChange={setCompareIds}
+                onSelectSession={handleSelectSession}
+                onResetFilters={resetFilters}
+              />
+            )}
+            {activeView === "topics" && (
+              <TopicExplorer
+                reviews={filteredReviews}
+                sessions={filteredSessions}
+                onSelectPhrase={(phrase) => {
+                  handleFilterChange("phrase", phrase);
+                  setActiveView("reviews");
+                }}
+                onResetFilters={resetFilters}
+              />
+            )}
+            {activeView === "disagreements" && (
+              <DisagreementsPanel
+                reviews={filteredReviews}
+                onSelectSession={handleSelectSession}
+                onResetFilters={resetFilters}
+                onOverride={handleOverride}
+              />
+            )}
+            {activeView === "history" && (
+              <SnapshotHistory
+                snapshots={snapshots}
+                sessions={sessions}
+                scrapeDate={scrapeDate}
+                baseline={baseline}
+                onBaselineChange={setBaselineDate}
+                newReviews={newReviews}
+                error={snapshotError}
+                onSelectSession={handleSelectSession}
+                onOverride={handleOverride}
+              />
+            )}
+            {activeView === "alerts" && (
+              <AlertsPanel
+                alerts={alerts}
+                rules={alertRules}
+                onRulesChange={setAlertRules}
+                watchlist={watchlist}
+                sessions={sessions}
+                onToggleWatch={handleToggleWatch}
+                onAcknowledge={handleAcknowledge}
+                onSelectSession={handleSelectSession}
+                onNotify={setToast}
+              />
+            )}
+            {activeView === "settings" && (
+              <>
+                {dataSourceSettings}
+                <ScoringRulesEditor
+                  sessions={sessions}
+                  rules={rules}
+                  onSave={(nextRules, changedCount) => {
+                    setStoredRules(nextRules);
+                    setToast(
+                      changedCount
+                        ? `Rules saved — ${changedCount} session${changedCount === 1 ? "" : "s"} changed status`
+                        : "Rules saved"
+                    );
+                  }}
+                />
+                <OverridesManager
+                  overrides={overrides}
+                  onImport={({ overrides: imported, skipped }) => {
+                    setOverrides((prev) => ({ ...prev, ...imported }));
+                    const count = Object.keys(imported).length;
+                    setToast(`Imported ${count} relabel${count === 1 ? "" : "s"}${skipped ? `, skipped ${skipped}` : ""}`);
+                  }}
+                  onClear={() => {
+                    setOverrides({});
+                    setToast("Manual relabels cleared");
+                  }}
+                  onError={setToast}
+                />
               </>
             )}
+            {activeView === "session" &&
+              (selectedSession ? (
+                <SessionDetail
+                  key={selectedSession.session_id}
+                  session={selectedSession}
+                  onBack={() => setActiveView("reviews")}
+                  onOverride={handleOverride}
+                  watched={Boolean(watchlist[selectedSession.session_id])}
+                  onToggleWatch={handleToggleWatch}
+                  onOpenAnomaly={handleOpenAnomaly}
+                />
+              ) : (
+                <div className="rounded-2xl border bg-white p-5 text-sm text-slate-500 shadow-sm">
+                  Session “{selectedSessionId}” was not found in the current dataset.
+                </div>
+              ))}
           </main>
         </div>
       </div>
+      {exportOpen && (
+        <ExportDialog
+          reviewCount={filteredReviews.length}
+          sessionCount={filteredSessionIds.size}
+          onExport={handleExport}
+          onClose={() => setExportOpen(false)}
+        />
+      )}
+      {dropOverlay}
       {toast && (
-        <div className="fixed bottom-4 right-4 rounded-full bg-slate-900 px-4 py-2 text-sm text-white shadow-lg">
+        <div className="fixed bottom-4 right-4 print:hidden rounded-full bg-slate-900 px-4 py-2 text-sm text-white shadow-lg">
           {toast}
         </div>
       )}
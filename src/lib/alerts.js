@@ -0,0 +1,172 @@
+// Threshold alerts for watched sessions. Rules are either a session metric crossing a
+// threshold or a new low-star review; `evaluateAlerts` runs them against freshly loaded
+// sessions and returns the updated inbox. Kept free of React so the rules stay testable.
+
+export const ALERT_METRICS = {
+  pct_negative: { label: "% negative", unit: "%", scale: 100 },
+  avg_rating: { label: "Avg rating", unit: "★", scale: 1 },
+  avg_sentiment: { label: "Avg sentiment", unit: "", scale: 1 },
+  attention_score: { label: "Attention score", unit: "", scale: 1 },
+};
+
+export const DEFAULT_ALERT_RULES = [
+  { id: "pct-negative-above", type: "metric", metric: "pct_negative", comparison: "above", threshold: 0.3, enabled: true },
+  { id: "avg-rating-below", type: "metric", metric: "avg_rating", comparison: "below", threshold: 4, enabled: true },
+  { id: "low-star-review", type: "review", maxRating: 2, enabled: true },
+];
+
+// Hard cap on the inbox. Past it the oldest acknowledged or cleared alerts go first, then
+// the oldest open ones.
+const MAX_ALERTS = 200;
+const PREVIEW_LENGTH = 120;
+
+export function formatMetricValue(metric, value) {
+  const { unit, scale } = ALERT_METRICS[metric] ?? { unit: "", scale: 1 };
+  const scaled = value * scale;
+  const digits = metric === "attention_score" ? 0 : metric === "pct_negative" ? 1 : 2;
+  return `${scaled.toFixed(digits)}${unit}`;
+}
+
+export function describeAlertRule(rule) {
+  if (rule.type === "review") {
+    return rule.maxRating > 1 ? `Any new 1–${rule.maxRating}★ review` : "Any new 1★ review";
+  }
+  return `${ALERT_METRICS[rule.metric]?.label ?? rule.metric} ${rule.comparison} ${formatMetricValue(rule.metric, rule.threshold)}`;
+}
+
+const crosses = (rule, value) =>
+  Number.isFinite(value) && (rule.comparison === "below" ? value < rule.threshold : value > rule.threshold);
+
+const preview = (text) => {
+  const flat = (text || "").replace(/\s+/g, " ").trim();
+  return flat.length > PREVIEW_LENGTH ? `${flat.slice(0, PREVIEW_LENGTH)}…` : flat;
+};
+
+/** A watchlist entry for a session; reviews already there when it is watched never alert. */
+export const watchEntry = (session, now = new Date().toISOString()) => ({
+  added_at: now,
+  seen_review_ids: (session.reviews || []).map((review) => review.review_id),
+});
+
+/**
+ * Runs every enabled rule against the watched sessions. Metric alerts stay open while the
+ * metric stays past its threshold and get `cleared_at` once it recovers, or once the session
+ * is unwatched or the rule disabled or removed, so crossing again raises a fresh alert;
+ * review alerts fire once per review. Returns the same `alerts` and
+ * `watchlist` objects when nothing changed.
+ */
+export function evaluateAlerts({ sessions, rules, watchlist, alerts, now = new Date().toISOString() }) {
+  const fired = [];
+  const checked = new Set();
+  let nextWatchlist = watchlist;
+
+  for (const session of sessions) {
+    const watch = watchlist[session.session_id];
+    if (!watch) continue;
+    const seen = new Set(watch.seen_review_ids || []);
+    const base = { session_id: session.session_id, session_title: session.session_title ?? null };
+
+    for (const rule of rules) {
+      if (!rule.enabled) continue;
+      if (rule.type === "metric") {
+        const key = `${rule.id}:${session.session_id}`;
+        checked.add(key);
+        const value = session[rule.metric];
+        if (!crosses(rule, value)) continue;
+        fired.push({
+          ...base,
+          key,
+          rule_id: rule.id,
+          metric: rule.metric,
+          value,
+          threshold: rule.threshold,
+          review_id: null,
+          message: `${ALERT_METRICS[rule.metric]?.label ?? rule.metric} is ${formatMetricValue(rule.metric, value)} (${
+            rule.comparison
+          } ${formatMetricValue(rule.metric, rule.threshold)})`,
+        });
+      } else if (rule.type === "review") {
+        for (const review of session.reviews || []) {
+          if (seen.has(review.review_id) || !Number.isFinite(review.rating) || review.rating > rule.maxRating) continue;
+          fired.push({
+            ...base,
+            key: `${rule.id}:${review.review_id}`,
+            rule_id: rule.id,
+            metric: "rating",
+            value: review.rating,
+            threshold: rule.maxRating,
+            review_id: review.review_id,
+            message: `New ${review.rating}★ review by ${review.reviewer || "Anonymous"}: “${preview(review.review_text)}”`,
+          });
+        }
+      }
+    }
+
+    const unseen = (session.reviews || []).filter((review) => !seen.has(review.review_id));
+    if (unseen.length) {
+      nextWatchlist = {
+        ...nextWatchlist,
+        [session.session_id]: { ...watch, seen_review_ids: [...seen, ...unseen.map((review) => review.review_id)] },
+      };
+    }
+  }
+
+  const firedKeys = new Set(fired.map((alert) => alert.key));
+  const loadedIds = new Set(sessions.map((session) => session.session_id));
+  let changed = false;
+  const next = alerts.map((alert) => {
+    // Only clear metric alerts for sessions in this data; another source may just not have them.
+    if (alert.cleared_at || alert.review_id || firedKeys.has(alert.key) || !loadedIds.has(alert.session_id)) return alert;
+    changed = true;
+    // "unwatched" covers a session taken off the watchlist as well as a rule switched off or deleted.
+    return { ...alert, cleared_at: now, cleared_reason: checked.has(alert.key) ? "recovered" : "unwatched" };
+  });
+  for (const alert of fired) {
+    if (next.some((existing) => existing.key === alert.key && !existing.cleared_at)) continue;
+    changed = true;
+    next.push({
+      ...alert,
+      id: `${alert.key}:${now}`,
+      created_at: now,
+      acknowledged_at: null,
+      cleared_at: null,
+      cleared_reason: null,
+    });
+  }
+
+  let nextAlerts = changed ? next : alerts;
+  if (nextAlerts.length > MAX_ALERTS) {
+    const settled = (alert) => Boolean(alert.acknowledged_at || alert.cleared_at);
+    const dropOrder = [...nextAlerts.filter(settled), ...nextAlerts.filter((alert) => !settled(alert))];
+    const dropped = new Set(dropOrder.slice(0, nextAlerts.length - MAX_ALERTS).map((alert) => alert.id));
+    nextAlerts = nextAlerts.filter((alert) => !dropped.has(alert.id));
+  }
+  return { alerts: nextAlerts, watchlist: nextWatchlist };
+}
+
+/** Whether an alert still needs a look: not acknowledged, and not cleared because nothing checks it any more. */
+export const isOpenAlert = (alert) => !alert.acknowledged_at && alert.cleared_reason !== "unwatched";
+
+/** The inbox as a JSON feed a webhook can ingest (`npm run mock-api` accepts it on POST /alerts). */
+export function buildAlertFeed(alerts, rules, now = new Date().toISOString()) {
+  return {
+    version: 1,
+    generated_at: now,
+    rules: rules.map((rule) => ({ ...rule, description: describeAlertRule(rule) })),
+    alerts: alerts.map((alert) => ({
+      id: alert.id,
+      rule_id: alert.rule_id,
+      session_id: alert.session_id,
+      session_title: alert.session_title,
+      review_id: alert.review_id,
+      metric: alert.metric,
+      value: alert.value,
+      threshold: alert.threshold,
+      message: alert.message,
+      created_at: alert.created_at,
+      acknowledged_at: alert.acknowledged_at,
+      cleared_at: alert.cleared_at,
+      cleared_reason: alert.cleared_reason ?? null,
+    })),
+  };
+}
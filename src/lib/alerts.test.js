@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { evaluateAlerts, isOpenAlert, watchEntry } from "./alerts.js";
+
+const ratingRule = { id: "avg-rating-below", type: "metric", metric: "avg_rating", comparison: "below", threshold: 4, enabled: true };
+const reviewRule = { id: "low-star-review", type: "review", maxRating: 2, enabled: true };
+
+const session = (fields = {}) => ({
+  session_id: "feeling-enough",
+  session_title: "Feeling Enough",
+  avg_rating: 3.5,
+  reviews: [{ review_id: "r1", rating: 4, review_text: "Fine" }],
+  ...fields,
+});
+
+function run({ sessions = [session()], rules = [ratingRule], watchlist, alerts = [], now = "2025-01-01T00:00:00Z" } = {}) {
+  return evaluateAlerts({ sessions, rules, watchlist: watchlist ?? { "feeling-enough": watchEntry(sessions[0]) }, alerts, now });
+}
+
+test("raises a metric alert once while the metric stays past its threshold", () => {
+  const first = run();
+  assert.equal(first.alerts.length, 1);
+  assert.equal(first.alerts[0].message, "Avg rating is 3.50★ (below 4.00★)");
+  const second = run({ alerts: first.alerts, watchlist: first.watchlist, now: "2025-01-02T00:00:00Z" });
+  assert.equal(second.alerts, first.alerts);
+});
+
+test("clears a metric alert once the metric recovers and raises a new one when it crosses again", () => {
+  const { alerts, watchlist } = run();
+  const recovered = run({ sessions: [session({ avg_rating: 4.5 })], alerts, watchlist, now: "2025-01-02T00:00:00Z" });
+  assert.equal(recovered.alerts[0].cleared_at, "2025-01-02T00:00:00Z");
+  assert.equal(recovered.alerts[0].cleared_reason, "recovered");
+  const again = run({ alerts: recovered.alerts, watchlist, now: "2025-01-03T00:00:00Z" });
+  assert.equal(again.alerts.length, 2);
+  assert.equal(again.alerts[1].cleared_at, null);
+});
+
+test("closes metric alerts of unwatched sessions and disabled rules", () => {
+  const { alerts, watchlist } = run();
+  const unwatched = run({ alerts, watchlist: {} });
+  assert.equal(unwatched.alerts[0].cleared_reason, "unwatched");
+  assert.equal(unwatched.alerts.filter(isOpenAlert).length, 0);
+  const disabled = run({ rules: [{ ...ratingRule, enabled: false }], alerts, watchlist });
+  assert.equal(disabled.alerts[0].cleared_reason, "unwatched");
+});
+
+test("keeps metric alerts of sessions the current data does not have", () => {
+  const { alerts, watchlist } = run();
+  const other = session({ session_id: "why-am-I-sad", avg_rating: 5 });
+  assert.equal(run({ sessions: [other], alerts, watchlist }).alerts, alerts);
+});
+
+test("alerts on low-star reviews added after the session was watched, once each", () => {
+  const watchlist = { "feeling-enough": watchEntry(session()) };
+  const updated = session({
+    avg_rating: 4.5,
+    reviews: [...session().reviews, { review_id: "r2", rating: 1, reviewer: "Ana", review_text: "Audio\ncut out" }],
+  });
+  const first = run({ sessions: [updated], rules: [reviewRule], watchlist });
+  assert.deepEqual(
+    first.alerts.map((alert) => [alert.review_id, alert.message]),
+    [["r2", "New 1★ review by Ana: “Audio cut out”"]]
+  );
+  assert.deepEqual(first.watchlist["feeling-enough"].seen_review_ids, ["r1", "r2"]);
+  const second = run({ sessions: [updated], rules: [reviewRule], watchlist: first.watchlist, alerts: first.alerts });
+  assert.equal(second.alerts, first.alerts);
+});
+
+test("caps the inbox, dropping settled alerts before open ones", () => {
+  const alerts = Array.from({ length: 201 }, (_, index) => ({
+    id: `a${index}`,
+    key: `low-star-review:r${index}`,
+    session_id: "feeling-enough",
+    review_id: `r${index}`,
+    acknowledged_at: index === 150 ? "2025-01-01T00:00:00Z" : null,
+    cleared_at: null,
+  }));
+  const kept = run({ sessions: [], watchlist: {}, alerts }).alerts;
+  assert.equal(kept.length, 200);
+  assert.ok(!kept.some((alert) => alert.id === "a150"));
+
+  const open = alerts.map((alert) => ({ ...alert, acknowledged_at: null }));
+  const capped = run({ sessions: [], watchlist: {}, alerts: [...open, { ...open[0], id: "extra" }] }).alerts;
+  assert.equal(capped.length, 200);
+  assert.equal(capped[0].id, "a2");
+});
@@ -0,0 +1,81 @@
+// Flags unusual periods in a review time series: the points produced by the dashboard's
+// monthly and chronological trend builders. Each point is compared with the median of
+// the points before it, so a month is judged by what came earlier, never by what follows.
+
+export const ANOMALY_METRICS = {
+  negative: {
+    label: "Negative reviews",
+    direction: "up",
+    value: (point) => point.negative,
+    // Counts are noisy at low volume, so the spread never drops below Poisson noise.
+    spread: (median) => Math.sqrt(Math.max(1, median)),
+    minChange: 2,
+  },
+  avgRating: {
+    label: "Avg rating",
+    direction: "down",
+    value: (point) => (point.ratingCount >= 2 ? point.avgRating : null),
+    spread: () => 0.25,
+    minChange: 0.5,
+  },
+  technical: {
+    label: "Technical mentions",
+    direction: "up",
+    value: (point) => point.technical,
+    spread: (median) => Math.sqrt(Math.max(1, median)),
+    minChange: 2,
+  },
+  total: {
+    label: "Review volume",
+    direction: "both",
+    value: (point) => point.total ?? point.count,
+    spread: (median) => Math.sqrt(Math.max(1, median)),
+    minChange: 3,
+  },
+};
+
+// Robust z-score (median and MAD) a point has to reach to count as an anomaly.
+export const ANOMALY_THRESHOLD = 3;
+// Points compared against: at least MIN_HISTORY earlier ones, at most the last HISTORY.
+const MIN_HISTORY = 3;
+const HISTORY = 6;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Runs every metric over `series` and returns the flagged points, oldest first, as
+ * `{ index, metric, direction, value, baseline, score }` where `direction` is "spike" or
+ * "drop" and `baseline` is the median of the preceding points. Points without a value for
+ * a metric (a month with fewer than two ratings, say) neither get flagged nor count as history.
+ */
+export function detectAnomalies(
+  series,
+  { metrics = Object.keys(ANOMALY_METRICS), threshold = ANOMALY_THRESHOLD } = {}
+) {
+  const found = [];
+  for (const metric of metrics) {
+    const spec = ANOMALY_METRICS[metric];
+    const history = [];
+    series.forEach((point, index) => {
+      const value = spec.value(point);
+      if (!Number.isFinite(value)) return;
+      const recent = history.slice(-HISTORY);
+      history.push(value);
+      if (recent.length < MIN_HISTORY) return;
+      const baseline = median(recent);
+      const mad = median(recent.map((entry) => Math.abs(entry - baseline))) * 1.4826;
+      const change = value - baseline;
+      const score = change / Math.max(mad, spec.spread(baseline));
+      const direction = change > 0 ? "spike" : "drop";
+      if (spec.direction === "up" && direction !== "spike") return;
+      if (spec.direction === "down" && direction !== "drop") return;
+      if (Math.abs(score) < threshold || Math.abs(change) < spec.minChange) return;
+      found.push({ index, metric, direction, value, baseline, score: Math.round(score * 10) / 10 });
+    });
+  }
+  return found.sort((a, b) => a.index - b.index || Math.abs(b.score) - Math.abs(a.score));
+}
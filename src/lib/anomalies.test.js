@@ -0,0 +1,28 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { detectAnomalies } from "./anomalies.js";
+
+const months = (values) => values.map(([negative, total]) => ({ negative, total, technical: 0, ratingCount: 0 }));
+
+test("flags a spike in negative reviews against the earlier months", () => {
+  const found = detectAnomalies(months([[1, 10], [2, 11], [1, 9], [2, 10], [9, 12]]), { metrics: ["negative"] });
+  assert.deepEqual(
+    found.map(({ index, direction, baseline }) => ({ index, direction, baseline })),
+    [{ index: 4, direction: "spike", baseline: 1.5 }]
+  );
+});
+
+test("needs three earlier months before judging one", () => {
+  assert.deepEqual(detectAnomalies(months([[1, 10], [1, 10], [9, 10]]), { metrics: ["negative"] }), []);
+});
+
+test("ignores drops for metrics that only go wrong upwards", () => {
+  assert.deepEqual(detectAnomalies(months([[8, 10], [9, 10], [8, 10], [0, 10]]), { metrics: ["negative"] }), []);
+});
+
+test("skips months with too few ratings for the rating metric", () => {
+  const series = [4.8, 4.9, 4.8, 4.9, 3].map((avgRating, index) => ({ avgRating, ratingCount: index === 4 ? 1 : 5 }));
+  assert.deepEqual(detectAnomalies(series, { metrics: ["avgRating"] }), []);
+  series[4].ratingCount = 4;
+  assert.equal(detectAnomalies(series, { metrics: ["avgRating"] })[0].direction, "drop");
+});
@@ -0,0 +1,49 @@
+/**
+ * Parses RFC 4180 CSV (quoted fields, doubled quotes, newlines inside quotes) into
+ * objects keyed by the header row. Lines starting with "#" before the header are
+ * skipped, which covers the metadata block the dashboard's CSV export writes.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error("Unterminated quoted field at the end of the file");
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const content = rows.filter((cells) => cells.some((cell) => cell !== ""));
+  while (content.length && content[0][0].startsWith("#")) content.shift();
+  const [header = [], ...records] = content;
+  return records.map((cells) => Object.fromEntries(header.map((key, index) => [key.trim(), cells[index] ?? ""])));
+}
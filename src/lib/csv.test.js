@@ -0,0 +1,35 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { parseCsv } from "./csv.js";
+
+test("keys rows by the header and trims header names", () => {
+  assert.deepEqual(parseCsv("review_id, rating\nr1,5\nr2,4"), [
+    { review_id: "r1", rating: "5" },
+    { review_id: "r2", rating: "4" },
+  ]);
+});
+
+test("keeps commas, doubled quotes and newlines inside quoted fields", () => {
+  const rows = parseCsv('id,text\n1,"Good, but ""long""\nand slow"\n2,plain');
+  assert.equal(rows[0].text, 'Good, but "long"\nand slow');
+  assert.equal(rows[1].text, "plain");
+});
+
+test("handles CRLF line endings, a BOM and blank lines", () => {
+  assert.deepEqual(parseCsv("\uFEFFid,text\r\n1,a\r\n\r\n2,b\r\n"), [
+    { id: "1", text: "a" },
+    { id: "2", text: "b" },
+  ]);
+});
+
+test("skips the # metadata block before the header", () => {
+  assert.deepEqual(parseCsv("# generated_at,2025-01-01\n# filters,none\nid\n1"), [{ id: "1" }]);
+});
+
+test("fills missing trailing cells with empty strings", () => {
+  assert.deepEqual(parseCsv("a,b,c\n1"), [{ a: "1", b: "", c: "" }]);
+});
+
+test("rejects an unterminated quoted field", () => {
+  assert.throws(() => parseCsv('id,text\n1,"never closed'), /Unterminated quoted field/);
+});
@@ -0,0 +1,281 @@
+// Where the dashboard gets its reviews from. Every source ends up as the same
+// `sessions_analysis.json`-shaped array; sources that only provide reviews are
+// grouped into sessions here, and useSessions rescores everything afterwards.
+
+import { parseCsv } from "./csv.js";
+import { foldDuplicates } from "./dedup.js";
+import { withPresenter } from "./presenters.js";
+import { groupReviewsBySession } from "./reviews.js";
+import { labelSentiment, summarizeSession, THEMES, UNSCORED_LABEL } from "./scoring.js";
+
+export const DATA_SOURCE_TYPES = {
+  analysis: { label: "Bundled analysis", description: "public/data/sessions_analysis.json" },
+  enriched: {
+    label: "Enriched reviews",
+    description: "public/data/reviews_enriched.json, with session aggregates computed in the browser",
+  },
+  rest: { label: "REST endpoint", description: "GET a JSON array of sessions or reviews from a URL" },
+  upload: { label: "Uploaded file", description: "A CSV or JSON file of reviews or sessions, dropped onto the page" },
+};
+
+export const DEFAULT_DATA_SOURCE = { type: "analysis", url: "" };
+
+const STATIC_URLS = {
+  analysis: "/data/sessions_analysis.json",
+  enriched: "/data/reviews_enriched.json",
+};
+
+const MAX_REPORTED_ISSUES = 25;
+const SENTIMENT_LABELS = ["positive", "neutral", "negative", UNSCORED_LABEL];
+const isoDatePattern = /^\d{4}-\d{2}-\d{2}/;
+
+/** A load that failed; `issues` lists `{ path, message }` pairs for schema problems. */
+export class DataSourceError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = "DataSourceError";
+    this.issues = issues;
+  }
+}
+
+const describe = (value) => (typeof value === "string" ? `"${value.slice(0, 40)}"` : JSON.stringify(value) ?? "undefined");
+
+const isBlank = (value) => value == null || value === "";
+
+// Each check returns an error message, or null when the value is acceptable.
+// Optional fields may be missing; analysis fields are filled in by normalizeReview.
+const reviewChecks = {
+  review_id: (value) => (typeof value === "string" && value ? null : "required string"),
+  session_id: (value) => (typeof value === "string" && value ? null : "required string"),
+  review_text: (value) => (isBlank(value) || typeof value === "string" ? null : "expected text"),
+  rating: (value) =>
+    isBlank(value) || (Number.isFinite(value) && value >= 1 && value <= 5) ? null : "expected a number from 1 to 5",
+  review_date: (value) =>
+    isBlank(value) || (typeof value === "string" && isoDatePattern.test(value)) ? null : "expected a YYYY-MM-DD date",
+  sentiment: (value) =>
+    isBlank(value) || (Number.isFinite(value) && value >= -1 && value <= 1) ? null : "expected a number from -1 to 1",
+  sentiment_label: (value) =>
+    isBlank(value) || SENTIMENT_LABELS.includes(value) ? null : `expected one of ${SENTIMENT_LABELS.join(", ")}`,
+  themes: (value) =>
+    value == null || (Array.isArray(value) && value.every((theme) => THEMES.includes(theme)))
+      ? null
+      : `expected a list of ${THEMES.join(", ")}`,
+  primary_theme: (value) => (isBlank(value) || THEMES.includes(value) ? null : `expected one of ${THEMES.join(", ")}`),
+  pain_points: (value) =>
+    value == null || (Array.isArray(value) && value.every((item) => typeof item === "string")) ? null : "expected a list of strings",
+  feature_requests: (value) =>
+    value == null || (Array.isArray(value) && value.every((item) => typeof item === "string")) ? null : "expected a list of strings",
+  duplicates: (value) =>
+    value == null || (Array.isArray(value) && value.every((item) => typeof item?.review_id === "string"))
+      ? null
+      : "expected a list of duplicate captures with review_id",
+};
+
+function collectIssues(reviews, pathPrefix, issues) {
+  reviews.forEach((review, index) => {
+    const path = `${pathPrefix}[${index}]`;
+    if (!review || typeof review !== "object" || Array.isArray(review)) {
+      issues.push({ path, message: `expected a review object, got ${describe(review)}` });
+      return;
+    }
+    for (const [field, check] of Object.entries(reviewChecks)) {
+      const problem = check(review[field]);
+      if (problem) issues.push({ path: `${path}.${field}`, message: `${problem}, got ${describe(review[field])}` });
+    }
+  });
+}
+
+function assertValid(issues, sourceLabel) {
+  if (!issues.length) return;
+  const shown = issues.slice(0, MAX_REPORTED_ISSUES);
+  if (issues.length > shown.length) {
+    shown.push({ path: "…", message: `and ${issues.length - shown.length} more problems` });
+  }
+  throw new DataSourceError(`${sourceLabel} does not match the review schema (${issues.length} problems)`, shown);
+}
+
+function normalizeReview(review) {
+  const sentiment = isBlank(review.sentiment) ? null : review.sentiment;
+  const themes = review.themes ?? [];
+  return {
+    ...review,
+    session_title: review.session_title || null,
+    rating: isBlank(review.rating) ? null : review.rating,
+    review_text: review.review_text ?? "",
+    review_date: review.review_date ? review.review_date.slice(0, 10) : null,
+    sentiment,
+    sentiment_label: review.sentiment_label || labelSentiment(sentiment),
+    themes,
+    primary_theme: review.primary_theme || themes[0] || null,
+    pain_points: review.pain_points ?? [],
+    feature_requests: review.feature_requests ?? [],
+  };
+}
+
+// Sources that skipped the pipeline's dedupe stage get the same folding here; data that
+// already went through it comes back unchanged.
+const dedupe = (reviews) => foldDuplicates(reviews.map(normalizeReview)).reviews;
+
+function sessionsFromReviews(reviews) {
+  return [...groupReviewsBySession(reviews).entries()].map(([sessionId, list]) =>
+    summarizeSession(
+      withPresenter({
+        session_id: sessionId,
+        session_title: list.find((review) => review.session_title)?.session_title ?? null,
+      }),
+      list
+    )
+  );
+}
+
+// Accepts a sessions array, a reviews array, or an object wrapping either
+// (`{ sessions }`, `{ reviews }` — the dashboard's own JSON export has the latter).
+function toSessions(data, sourceLabel) {
+  const issues = [];
+  let reviews;
+  let sessionsInput = null;
+
+  if (Array.isArray(data)) {
+    if (data.length && Array.isArray(data[0]?.reviews)) sessionsInput = data;
+    else reviews = data;
+  } else if (data && typeof data === "object" && Array.isArray(data.reviews)) {
+    reviews = data.reviews;
+  } else if (data && typeof data === "object" && Array.isArray(data.sessions)) {
+    sessionsInput = data.sessions;
+  } else {
+    throw new DataSourceError(`${sourceLabel} is not a list of sessions or reviews`, [
+      { path: "(root)", message: `expected an array or an object with "sessions" or "reviews", got ${describe(data)}` },
+    ]);
+  }
+
+  if (sessionsInput) {
+    sessionsInput.forEach((session, index) => {
+      if (typeof session?.session_id !== "string" || !session.session_id) {
+        issues.push({ path: `sessions[${index}].session_id`, message: `required string, got ${describe(session?.session_id)}` });
+      }
+      if (!Array.isArray(session?.reviews)) {
+        issues.push({ path: `sessions[${index}].reviews`, message: `expected a list of reviews, got ${describe(session?.reviews)}` });
+      } else {
+        collectIssues(session.reviews, `sessions[${index}].reviews`, issues);
+      }
+    });
+    assertValid(issues, sourceLabel);
+    // Session-level aggregates are recomputed from the reviews, so only the reviews need to be right.
+    return sessionsInput.map((session) =>
+      withPresenter({ ...session, session_title: session.session_title ?? null, reviews: dedupe(session.reviews) })
+    );
+  }
+
+  collectIssues(reviews, "reviews", issues);
+  assertValid(issues, sourceLabel);
+  if (!reviews.length) throw new DataSourceError(`${sourceLabel} contains no reviews`);
+  return sessionsFromReviews(dedupe(reviews));
+}
+
+const csvNumber = (value) => (value.trim() === "" ? null : Number(value));
+
+// List cells may hold a JSON array or the " | "-joined form the CSV export writes.
+function csvList(value) {
+  const text = value.trim();
+  if (!text) return [];
+  if (text.startsWith("[")) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      // Fall through to the delimited form.
+    }
+  }
+  return text
+    .split(/\s*[|;]\s*/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+const csvColumns = {
+  rating: csvNumber,
+  sentiment: csvNumber,
+  themes: csvList,
+  pain_points: csvList,
+  feature_requests: csvList,
+};
+
+function reviewsFromCsv(text) {
+  return parseCsv(text).map((row) =>
+    Object.fromEntries(
+      Object.entries(row).map(([key, value]) => [key, csvColumns[key] ? csvColumns[key](value) : value || null])
+    )
+  );
+}
+
+/** Parses an uploaded `.csv` or `.json` file into sessions. */
+export function parseDataFile(name, text) {
+  const label = `“${name}”`;
+  if (/\.csv$/i.test(name)) {
+    let rows;
+    try {
+      rows = reviewsFromCsv(text);
+    } catch (error) {
+      throw new DataSourceError(`${label} is not valid CSV: ${error.message}`);
+    }
+    return toSessions(rows, label);
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new DataSourceError(`${label} is not valid JSON: ${error.message}`);
+  }
+  return toSessions(data, label);
+}
+
+async function fetchJson(url, signal) {
+  let res;
+  try {
+    res = await fetch(url, { cache: "no-store", signal, headers: { Accept: "application/json" } });
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    throw new DataSourceError(`Could not reach ${url}: ${error.message}`);
+  }
+  if (!res.ok) throw new DataSourceError(`${url} responded with HTTP ${res.status}`);
+  try {
+    return await res.json();
+  } catch {
+    throw new DataSourceError(`${url} did not return JSON`);
+  }
+}
+
+/** Loads a fetchable source (`analysis`, `enriched` or `rest`) into sessions. */
+export async function loadDataSource(source, { signal } = {}) {
+  const url = source.type === "rest" ? source.url?.trim() : STATIC_URLS[source.type];
+  if (!url) throw new DataSourceError(`No URL configured for the ${DATA_SOURCE_TYPES[source.type]?.label ?? source.type} source`);
+  return toSessions(await fetchJson(url, signal), url);
+}
+
+const SNAPSHOT_DIR = "/data/snapshots/";
+
+/**
+ * Loads every snapshot listed in `public/data/snapshots/manifest.json` (written by
+ * `npm run snapshot`), oldest first, as `{ date, file, sessions }`. No manifest means
+ * no history yet, which is not an error; a snapshot that is missing or malformed is left
+ * out rather than hiding the whole history.
+ */
+export async function loadSnapshots({ signal } = {}) {
+  let manifest;
+  try {
+    manifest = await fetchJson(`${SNAPSHOT_DIR}manifest.json`, signal);
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    return [];
+  }
+  const entries = (Array.isArray(manifest?.snapshots) ? manifest.snapshots : [])
+    .filter((entry) => typeof entry?.date === "string" && isoDatePattern.test(entry.date) && entry.file)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const results = await Promise.allSettled(
+    entries.map(async (entry) => {
+      const url = `${SNAPSHOT_DIR}${entry.file}`;
+      return { date: entry.date.slice(0, 10), file: entry.file, sessions: toSessions(await fetchJson(url, signal), url) };
+    })
+  );
+  if (signal?.aborted) throw signal.reason;
+  return results.filter((result) => result.status === "fulfilled").map((result) => result.value);
+}
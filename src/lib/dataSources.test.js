@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { DataSourceError, parseDataFile } from "./dataSources.js";
+
+const review = (fields) => ({ review_id: "r1", session_id: "how-to-deal-with-anxiety", review_text: "Helpful", ...fields });
+
+// The DataSourceError parseDataFile throws; any other outcome fails the test.
+function parseError(name, text) {
+  try {
+    parseDataFile(name, text);
+  } catch (error) {
+    assert.ok(error instanceof DataSourceError, `expected a DataSourceError, got ${error}`);
+    return error;
+  }
+  assert.fail("expected parseDataFile to throw");
+}
+
+test("groups a reviews array into scored sessions", () => {
+  const sessions = parseDataFile(
+    "reviews.json",
+    JSON.stringify([review({ rating: 5 }), review({ review_id: "r2", rating: 3, review_text: "Audio kept cutting out" })])
+  );
+  assert.equal(sessions.length, 1);
+  assert.equal(sessions[0].session_id, "how-to-deal-with-anxiety");
+  assert.equal(sessions[0].session_title, "How to Deal with Anxiety");
+  assert.equal(sessions[0].n_reviews, 2);
+  assert.equal(sessions[0].avg_rating, 4);
+});
+
+test("accepts the { reviews } wrapper of the dashboard's JSON export", () => {
+  const sessions = parseDataFile("export.json", JSON.stringify({ metadata: {}, reviews: [review()] }));
+  assert.equal(sessions[0].reviews[0].review_id, "r1");
+});
+
+test("reads CSV uploads, including list and number columns", () => {
+  const csv = 'review_id,session_id,review_text,rating,themes\nr1,s1,"Clear, calm",4,content | utility';
+  const [session] = parseDataFile("reviews.csv", csv);
+  assert.equal(session.reviews[0].rating, 4);
+  assert.deepEqual(session.reviews[0].themes, ["content", "utility"]);
+});
+
+test("reports every schema problem with its path", () => {
+  const error = parseError("bad.json", JSON.stringify([review({ rating: 9 }), review({ review_id: "", review_date: "May 3" })]));
+  assert.match(error.message, /does not match the review schema \(3 problems\)/);
+  assert.deepEqual(
+    error.issues.map((issue) => issue.path),
+    ["reviews[0].rating", "reviews[1].review_id", "reviews[1].review_date"]
+  );
+});
+
+test("checks the reviews nested in a sessions array", () => {
+  const error = parseError("sessions.json", JSON.stringify([{ session_id: "", reviews: [review({ themes: ["pricing"] })] }]));
+  assert.deepEqual(
+    error.issues.map((issue) => issue.path),
+    ["sessions[0].session_id", "sessions[0].reviews[0].themes"]
+  );
+});
+
+test("rejects files that are not sessions or reviews", () => {
+  assert.deepEqual(parseError("other.json", JSON.stringify({ items: [] })).issues[0].path, "(root)");
+  assert.match(parseError("empty.json", "[]").message, /contains no reviews/);
+  assert.match(parseError("broken.json", "{").message, /is not valid JSON/);
+  assert.match(parseError("broken.csv", 'review_id\n"open').message, /is not valid CSV/);
+});
@@ -0,0 +1,157 @@
+// Finds reviews that were captured more than once — the scraper reads both the DOM and
+// the JSON-LD block, so the same review can show up under two `review_id` hashes — and
+// folds each cluster into one canonical review. Shared by scripts/dedupe-reviews.mjs and
+// the dashboard's data sources, so uploads get the same treatment as the pipeline.
+
+export const DUPLICATE_THRESHOLD = 0.8;
+
+// "Great!" or "Very helpful" get written independently by different people, so texts
+// this short only merge on an exact match from the same reviewer.
+const MIN_FUZZY_TOKENS = 6;
+// A capture cut off by "Show more" is still the same review when nearly all of the
+// shorter text's word pairs appear in the longer one. The cut usually lands mid-word, so
+// the shorter text's last word is left out of that comparison.
+const MIN_TRUNCATED_TOKENS = 8;
+const TRUNCATED_OVERLAP = 0.9;
+
+const tokenize = (text) =>
+  (text || "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+
+function wordPairs(tokens) {
+  if (tokens.length < 2) return new Set(tokens);
+  const pairs = new Set();
+  for (let i = 1; i < tokens.length; i += 1) pairs.add(`${tokens[i - 1]} ${tokens[i]}`);
+  return pairs;
+}
+
+const reviewerKey = (review) => review.reviewer?.trim().toLowerCase() || null;
+
+function fingerprint(review) {
+  const tokens = tokenize(review.review_text);
+  return {
+    review,
+    tokens,
+    key: tokens.join(" "),
+    pairs: wordPairs(tokens),
+    headPairs: wordPairs(tokens.slice(0, -1)),
+    reviewer: reviewerKey(review),
+  };
+}
+
+/** Returns `{ match, similarity }` when two reviews of the same session are one review, else null. */
+function compareFingerprints(a, b, threshold) {
+  if (!a.tokens.length || !b.tokens.length) return null;
+  // A missing reviewer or rating never conflicts; a different one always does.
+  if (a.reviewer && b.reviewer && a.reviewer !== b.reviewer) return null;
+  if (Number.isFinite(a.review.rating) && Number.isFinite(b.review.rating) && a.review.rating !== b.review.rating) {
+    return null;
+  }
+  const shorter = Math.min(a.tokens.length, b.tokens.length);
+  if (a.key === b.key) {
+    return shorter >= MIN_FUZZY_TOKENS || (a.reviewer && a.reviewer === b.reviewer) ? { match: "exact", similarity: 1 } : null;
+  }
+  if (shorter < MIN_FUZZY_TOKENS) return null;
+  let shared = 0;
+  for (const pair of a.pairs) if (b.pairs.has(pair)) shared += 1;
+  const similarity = Math.round((shared / (a.pairs.size + b.pairs.size - shared)) * 1000) / 1000;
+  if (similarity >= threshold) return { match: "fuzzy", similarity };
+  if (shorter < MIN_TRUNCATED_TOKENS) return null;
+  const [short, long] = a.tokens.length <= b.tokens.length ? [a, b] : [b, a];
+  let kept = 0;
+  for (const pair of short.headPairs) if (long.pairs.has(pair)) kept += 1;
+  return kept / short.headPairs.size >= TRUNCATED_OVERLAP ? { match: "truncated", similarity } : null;
+}
+
+// The fullest capture wins: longest text, then one with a reviewer, then one with a rating.
+const canonicalRank = (entry) => [entry.tokens.length, entry.reviewer ? 1 : 0, Number.isFinite(entry.review.rating) ? 1 : 0];
+
+function pickCanonical(entries) {
+  return entries.reduce((best, entry) => {
+    const [a, b] = [canonicalRank(entry), canonicalRank(best)];
+    const diff = a.findIndex((value, index) => value !== b[index]);
+    return diff >= 0 && a[diff] > b[diff] ? entry : best;
+  });
+}
+
+const duplicateRecord = (review, comparison) => ({
+  review_id: review.review_id,
+  match: comparison.match,
+  similarity: comparison.similarity,
+  reviewer: review.reviewer ?? null,
+  rating: review.rating ?? null,
+  review_date: review.review_date ?? null,
+  review_text: review.review_text ?? "",
+  source_url: review.source_url ?? null,
+});
+
+/**
+ * Folds duplicate captures within each session into their canonical review, which keeps
+ * them under `duplicates` (`{ review_id, match, similarity, … }`). Safe to run on already
+ * folded data: earlier `duplicates` are carried over. Returns the folded reviews in their
+ * original order and the number of captures folded by this call.
+ */
+export function foldDuplicates(reviews, { threshold = DUPLICATE_THRESHOLD } = {}) {
+  const bySession = new Map();
+  reviews.forEach((review, index) => {
+    if (!review?.session_id) return;
+    const list = bySession.get(review.session_id) || [];
+    list.push({ ...fingerprint(review), index });
+    bySession.set(review.session_id, list);
+  });
+
+  const replaced = new Map();
+  let folded = 0;
+  for (const entries of bySession.values()) {
+    // Union-find over every pair that matches, so A≈B and B≈C end up in one cluster —
+    // unless that would put two different reviewers or ratings in it via an anonymous capture.
+    const parent = entries.map((_, index) => index);
+    const owner = entries.map((entry) => ({ reviewer: entry.reviewer, rating: entry.review.rating ?? null }));
+    const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const compatible = (a, b) => a == null || b == null || a === b;
+    for (let i = 0; i < entries.length; i += 1) {
+      for (let j = i + 1; j < entries.length; j += 1) {
+        const [root, other] = [find(i), find(j)];
+        if (root === other || !compareFingerprints(entries[i], entries[j], threshold)) continue;
+        if (!compatible(owner[root].reviewer, owner[other].reviewer) || !compatible(owner[root].rating, owner[other].rating)) {
+          continue;
+        }
+        parent[other] = root;
+        owner[root] = {
+          reviewer: owner[root].reviewer ?? owner[other].reviewer,
+          rating: owner[root].rating ?? owner[other].rating,
+        };
+      }
+    }
+    const clusters = new Map();
+    entries.forEach((entry, index) => {
+      const root = find(index);
+      clusters.set(root, [...(clusters.get(root) || []), entry]);
+    });
+
+    for (const members of clusters.values()) {
+      if (members.length < 2) continue;
+      const canonical = pickCanonical(members);
+      const duplicates = [...(canonical.review.duplicates || [])];
+      for (const member of members) {
+        if (member === canonical) continue;
+        // Members only linked through another capture have no direct similarity to report.
+        const comparison = compareFingerprints(canonical, member, threshold) ?? { match: "fuzzy", similarity: null };
+        duplicates.push(duplicateRecord(member.review, comparison), ...(member.review.duplicates || []));
+        replaced.set(member.index, null);
+        folded += 1;
+      }
+      replaced.set(canonical.index, { ...canonical.review, duplicates });
+    }
+  }
+
+  const result = [];
+  reviews.forEach((review, index) => {
+    if (!replaced.has(index)) result.push(review);
+    else if (replaced.get(index)) result.push(replaced.get(index));
+  });
+  return { reviews: result, folded };
+}
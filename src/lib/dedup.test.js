@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { foldDuplicates } from "./dedup.js";
+
+const FULL = "I really liked how the presenter explained the breathing exercise and the follow up steps";
+
+const capture = (review_id, review_text, fields = {}) => ({
+  review_id,
+  session_id: "feeling-enough",
+  reviewer: "Ana",
+  rating: 5,
+  review_text,
+  ...fields,
+});
+
+test("folds an exact duplicate into the fullest capture", () => {
+  const { reviews, folded } = foldDuplicates([capture("a", FULL, { reviewer: null }), capture("b", FULL)]);
+  assert.equal(folded, 1);
+  assert.equal(reviews.length, 1);
+  assert.equal(reviews[0].review_id, "b");
+  assert.deepEqual(
+    reviews[0].duplicates.map(({ review_id, match }) => ({ review_id, match })),
+    [{ review_id: "a", match: "exact" }]
+  );
+});
+
+test("folds captures that differ only in punctuation and accents", () => {
+  const { reviews } = foldDuplicates([capture("a", FULL), capture("b", `${FULL.replace("presenter", "présenter")}!!`)]);
+  assert.equal(reviews.length, 1);
+});
+
+test("folds a capture cut off mid-word by Show more", () => {
+  const cut = `${FULL.split(" ").slice(0, 7).join(" ")} brea`;
+  const { reviews, folded } = foldDuplicates([capture("a", cut), capture("b", FULL)]);
+  assert.equal(folded, 1);
+  assert.equal(reviews[0].review_id, "b");
+  assert.equal(reviews[0].duplicates[0].match, "truncated");
+});
+
+test("keeps short texts from different reviewers apart", () => {
+  const { folded } = foldDuplicates([capture("a", "Very helpful"), capture("b", "Very helpful", { reviewer: "Ben" })]);
+  assert.equal(folded, 0);
+});
+
+test("keeps the same text apart when the ratings conflict", () => {
+  const { folded } = foldDuplicates([capture("a", FULL), capture("b", FULL, { rating: 2 })]);
+  assert.equal(folded, 0);
+});
+
+test("only compares reviews within one session", () => {
+  const { folded } = foldDuplicates([capture("a", FULL), capture("b", FULL, { session_id: "why-am-I-sad" })]);
+  assert.equal(folded, 0);
+});
+
+test("leaves already folded data unchanged", () => {
+  const once = foldDuplicates([capture("a", FULL), capture("b", FULL), capture("c", "Something else entirely")]);
+  const twice = foldDuplicates(once.reviews);
+  assert.equal(twice.folded, 0);
+  assert.deepEqual(twice.reviews, once.reviews);
+});
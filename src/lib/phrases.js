@@ -0,0 +1,87 @@
+// Recurring phrases in the pain points and feature requests the analysis step pulls out of
+// each review. `top_pain_points` counts whole sentences, which hardly ever repeat word for
+// word; short n-grams do, so they show what people keep running into.
+
+export const PHRASE_SOURCES = ["pain_points", "feature_requests"];
+
+const MAX_WORDS = 3;
+const MIN_UNIGRAM_LENGTH = 3;
+
+// Phrases may contain these but not start or end with them ("need for safety" is fine,
+// "for safety" and "need for" are not).
+const STOPWORDS = new Set([
+  "a", "about", "after", "again", "all", "also", "although", "am", "an", "and", "any", "are", "as", "at", "be",
+  "because", "been", "before", "being", "both", "but", "by", "can", "could", "did", "didn't", "do", "does",
+  "doesn't", "don't", "down", "during", "each", "even", "every", "few", "for", "from", "get", "got", "had",
+  "has", "have", "he", "her", "here", "him", "his", "how", "i", "i'd", "i'll", "i'm", "i've", "if", "in",
+  "into", "is", "isn't", "it", "it's", "its", "just", "let", "like", "lot", "made", "make", "many", "may", "me",
+  "might", "more", "most", "much", "must", "my", "myself", "no", "not", "now", "of", "off", "on", "one", "only",
+  "or", "other", "our", "out", "over", "own", "really", "same", "see", "she", "should", "so", "some",
+  "something", "still", "such", "than", "that", "the", "their", "them", "then", "there", "these", "they",
+  "thing", "things", "think", "this", "those", "though", "through", "to", "too", "up", "us", "very", "was",
+  "wasn't", "way", "we", "well", "were", "what", "when", "where", "which", "while", "who", "why", "will",
+  "with", "without", "would", "yet", "you", "you're", "your",
+]);
+
+// Lowercased words per clause; n-grams never reach across punctuation.
+const clauses = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .split(/[.,;:!?()"“”…–—]+/)
+    .map((clause) => clause.match(/[\p{L}\p{N}]+(?:'\p{L}+)*/gu) || [])
+    .filter((words) => words.length);
+
+/** The distinct 1–3 word phrases in a review's pain points and/or feature requests. */
+export function reviewPhrases(review, sources = PHRASE_SOURCES) {
+  const found = new Set();
+  for (const source of sources) {
+    for (const text of review[source] || []) {
+      for (const words of clauses(text)) {
+        for (let n = 1; n <= MAX_WORDS; n += 1) {
+          for (let i = 0; i + n <= words.length; i += 1) {
+            const gram = words.slice(i, i + n);
+            if (STOPWORDS.has(gram[0]) || STOPWORDS.has(gram[n - 1])) continue;
+            if (n === 1 && gram[0].length < MIN_UNIGRAM_LENGTH) continue;
+            found.add(gram.join(" "));
+          }
+        }
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Phrases found in at least `minReviews` reviews, most widespread first, as
+ * `{ phrase, words, count, sessions, reviews }` where `count` is the number of reviews.
+ * A phrase is left out when a longer one containing it occurs in exactly the same reviews,
+ * so "unmet" does not sit next to "unmet needs" with the same count.
+ */
+export function extractPhrases(reviews, { sources = PHRASE_SOURCES, minReviews = 2 } = {}) {
+  const byPhrase = new Map();
+  for (const review of reviews) {
+    for (const phrase of reviewPhrases(review, sources)) {
+      const entry = byPhrase.get(phrase) || { phrase, words: phrase.split(" ").length, reviews: [] };
+      entry.reviews.push(review);
+      byPhrase.set(phrase, entry);
+    }
+  }
+  const recurring = [...byPhrase.values()].filter((entry) => entry.reviews.length >= minReviews);
+  return recurring
+    .filter(
+      (entry) =>
+        !recurring.some(
+          (other) =>
+            other.words > entry.words &&
+            other.reviews.length === entry.reviews.length &&
+            ` ${other.phrase} `.includes(` ${entry.phrase} `)
+        )
+    )
+    .map((entry) => ({
+      ...entry,
+      count: entry.reviews.length,
+      sessions: new Set(entry.reviews.map((review) => review.session_id)).size,
+    }))
+    .sort((a, b) => b.count - a.count || b.words - a.words || a.phrase.localeCompare(b.phrase));
+}
@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { extractPhrases, reviewPhrases } from "./phrases.js";
+
+test("collects 1–3 word phrases that neither start nor end with a stopword", () => {
+  const phrases = reviewPhrases({ pain_points: ["The need for safety"] });
+  assert.deepEqual([...phrases].sort(), ["need", "need for safety", "safety"]);
+});
+
+test("keeps phrases inside one clause and skips short single words", () => {
+  const phrases = reviewPhrases({ pain_points: ["Too long, audio cut out"], feature_requests: ["Clearer UI"] });
+  assert.ok(phrases.has("audio cut"));
+  assert.ok(!phrases.has("long audio"));
+  assert.ok(phrases.has("clearer ui"));
+  assert.ok(!phrases.has("ui"));
+});
+
+test("reads only the requested sources and folds curly apostrophes", () => {
+  const review = { pain_points: ["Speaker’s slides"], feature_requests: ["Longer breaks"] };
+  assert.ok(reviewPhrases(review, ["pain_points"]).has("speaker's slides"));
+  assert.ok(!reviewPhrases(review, ["pain_points"]).has("longer breaks"));
+});
+
+test("ranks recurring phrases by the reviews and sessions they appear in", () => {
+  const reviews = [
+    { session_id: "s1", pain_points: ["Audio quality was poor"] },
+    { session_id: "s2", pain_points: ["poor audio quality"] },
+    { session_id: "s2", pain_points: ["Audio quality, again"], feature_requests: ["More breaks"] },
+  ];
+  const phrases = extractPhrases(reviews);
+  assert.deepEqual(
+    phrases.map(({ phrase, count, sessions }) => [phrase, count, sessions]),
+    [
+      ["audio quality", 3, 2],
+      ["poor", 2, 2],
+    ]
+  );
+  assert.equal(phrases[0].reviews.length, 3);
+});
+
+test("drops a phrase covered by a longer one found in exactly the same reviews", () => {
+  const reviews = [{ pain_points: ["unmet needs"] }, { pain_points: ["Unmet needs everywhere"] }];
+  assert.deepEqual(
+    extractPhrases(reviews).map((entry) => entry.phrase),
+    ["unmet needs"]
+  );
+  assert.deepEqual(
+    extractPhrases(reviews, { minReviews: 1 }).map((entry) => entry.phrase),
+    ["unmet needs", "unmet needs everywhere"]
+  );
+});
@@ -0,0 +1,107 @@
+// Presenter and role extraction from session slugs. The scraper gets no session titles,
+// but the slugs name the presenter: `…-by-psychologist-dorina-vasilache`,
+// `…-somatic-coach-nicola-ruhnau`, `…-by-jocelyn-tomaka`. Shared by the pipeline scripts
+// and the dashboard's data sources, so every source gets the same titles and presenters.
+
+// Nouns that mark where the presenter starts, and words that may qualify them
+// ("somatic coach", "organization psychologist").
+const ROLE_NOUNS = new Set([
+  "psychologist", "psychotherapist", "therapist", "psychiatrist", "coach", "counselor", "counsellor", "mentor",
+  "trainer", "teacher",
+]);
+const ROLE_QUALIFIERS = new Set([
+  "somatic", "organization", "organizational", "clinical", "life", "executive", "career", "business", "health",
+  "wellness", "wellbeing", "mindfulness", "sport", "sports", "child", "family", "parenting", "certified",
+]);
+const HONORIFICS = { dr: "Dr.", prof: "Prof." };
+// A presenter's name is the last two to four words (one will do after "dr"); anything
+// longer is probably part of the title.
+const MIN_NAME_WORDS = 2;
+const MAX_NAME_WORDS = 4;
+
+const SMALL_WORDS = new Set([
+  "a", "an", "and", "as", "at", "but", "by", "for", "from", "in", "into", "of", "on", "or", "over", "the", "to",
+  "vs", "via", "with",
+]);
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+// ["how", "to", "deal", "with", "anxiety"] → "How to Deal with Anxiety".
+function titleFromWords(words) {
+  return words
+    .map((word, index) => {
+      const lower = word.toLowerCase();
+      if (lower === "i") return "I";
+      if (index > 0 && index < words.length - 1 && SMALL_WORDS.has(lower)) return lower;
+      return capitalize(lower);
+    })
+    .join(" ");
+}
+
+function parseName(words) {
+  const honorific = HONORIFICS[words[0]?.toLowerCase()];
+  const name = honorific ? words.slice(1) : words;
+  if (name.length < (honorific ? 1 : MIN_NAME_WORDS) || name.length > MAX_NAME_WORDS) return null;
+  const lower = name.map((word) => word.toLowerCase());
+  return {
+    presenter: [honorific, ...lower.map(capitalize)].filter(Boolean).join(" "),
+    // Honorifics are left out of the id so "dr-brent-bounds" and "brent-bounds" are one presenter.
+    presenter_id: lower.join("-"),
+  };
+}
+
+// Role words directly before `end`, qualifiers included: ["somatic", "coach"].
+function roleBefore(words, end) {
+  let start = end;
+  while (start > 0 && ROLE_QUALIFIERS.has(words[start - 1].toLowerCase())) start -= 1;
+  return words.slice(start, end + 1);
+}
+
+/**
+ * Splits a session slug into `{ title, presenter, presenter_id, presenter_role }`. The
+ * presenter follows the last "by" or the last role noun; the role is null when the slug
+ * names none, and presenter fields are null when no presenter can be found.
+ */
+export function parseSessionSlug(sessionId) {
+  const words = (sessionId || "").split(/[-_]+/).filter(Boolean);
+  const none = { title: titleFromWords(words), presenter: null, presenter_id: null, presenter_role: null };
+  if (!words.length) return none;
+
+  const lower = words.map((word) => word.toLowerCase());
+  const byIndex = lower.lastIndexOf("by");
+  let roleIndex = -1;
+  for (let i = lower.length - 2; i > byIndex && i > 0; i -= 1) {
+    // "how-to-coach-your-team" uses the word as a verb.
+    if (ROLE_NOUNS.has(lower[i]) && lower[i - 1] !== "to") {
+      roleIndex = i;
+      break;
+    }
+  }
+
+  if (roleIndex > 0) {
+    const role = roleBefore(words, roleIndex);
+    const titleEnd = roleIndex - role.length + 1;
+    const name = parseName(words.slice(roleIndex + 1));
+    const titleWords = words.slice(0, lower[titleEnd - 1] === "by" ? titleEnd - 1 : titleEnd);
+    if (name && titleWords.length) {
+      return { title: titleFromWords(titleWords), ...name, presenter_role: role.join(" ").toLowerCase() };
+    }
+  }
+  if (byIndex > 0) {
+    const name = parseName(words.slice(byIndex + 1));
+    if (name) return { title: titleFromWords(words.slice(0, byIndex)), ...name, presenter_role: null };
+  }
+  return none;
+}
+
+/** Fills in `session_title` (when the scrape had none), `presenter`, `presenter_id` and `presenter_role`. */
+export function withPresenter(session) {
+  const parsed = parseSessionSlug(session.session_id);
+  return {
+    ...session,
+    session_title: session.session_title || parsed.title,
+    presenter: session.presenter ?? parsed.presenter,
+    presenter_id: session.presenter_id ?? parsed.presenter_id,
+    presenter_role: session.presenter_role ?? parsed.presenter_role,
+  };
+}
@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { parseSessionSlug, withPresenter } from "./presenters.js";
+
+test("takes the presenter and role after a role noun", () => {
+  assert.deepEqual(parseSessionSlug("how-to-deal-with-anxiety-by-psychologist-gabriela-ghergut"), {
+    title: "How to Deal with Anxiety",
+    presenter: "Gabriela Ghergut",
+    presenter_id: "gabriela-ghergut",
+    presenter_role: "psychologist",
+  });
+});
+
+test("keeps qualifiers as part of the role", () => {
+  const parsed = parseSessionSlug("feeling-close-to-burnout-somatic-coach-nicola-ruhnau");
+  assert.equal(parsed.title, "Feeling Close to Burnout");
+  assert.equal(parsed.presenter_role, "somatic coach");
+  assert.equal(parsed.presenter, "Nicola Ruhnau");
+});
+
+test("takes the presenter after the last 'by' when no role is named", () => {
+  const parsed = parseSessionSlug("how-to-deal-with-negative-feedback-at-work-by-jocelyn-tomaka");
+  assert.equal(parsed.presenter, "Jocelyn Tomaka");
+  assert.equal(parsed.presenter_role, null);
+});
+
+test("keeps honorifics in the name but out of the id", () => {
+  const parsed = parseSessionSlug("how-to-overcome-procrastination-by-psychologist-dr-fuschia-sirois");
+  assert.equal(parsed.presenter, "Dr. Fuschia Sirois");
+  assert.equal(parsed.presenter_id, "fuschia-sirois");
+});
+
+test("finds no presenter in plain titles or role words used as verbs", () => {
+  for (const slug of ["feeling-enough", "why-am-I-sad", "how-to-coach-your-team"]) {
+    const parsed = parseSessionSlug(slug);
+    assert.equal(parsed.presenter, null, slug);
+    assert.equal(parsed.presenter_id, null, slug);
+  }
+  assert.equal(parseSessionSlug("why-am-I-sad").title, "Why Am I Sad");
+  assert.equal(parseSessionSlug("").title, "");
+});
+
+test("withPresenter keeps fields the data already has", () => {
+  const session = withPresenter({ session_id: "feeling-enough-by-ana-pop", session_title: "Feeling Enough (live)" });
+  assert.equal(session.session_title, "Feeling Enough (live)");
+  assert.equal(session.presenter, "Ana Pop");
+  assert.equal(withPresenter({ session_id: "feeling-enough-by-ana-pop", presenter: "Ana P." }).presenter, "Ana P.");
+});
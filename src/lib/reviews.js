@@ -0,0 +1,14 @@
+export const reviewDateValue = (review) => (review.review_date ? Date.parse(review.review_date) || 0 : 0);
+
+/** Groups reviews by session_id (first-seen order) with each session's reviews latest first. */
+export function groupReviewsBySession(reviews) {
+  const sessions = new Map();
+  for (const review of reviews) {
+    if (!review.session_id) continue;
+    const list = sessions.get(review.session_id) || [];
+    list.push(review);
+    sessions.set(review.session_id, list);
+  }
+  for (const list of sessions.values()) list.sort((a, b) => reviewDateValue(b) - reviewDateValue(a));
+  return sessions;
+}
@@ -0,0 +1,236 @@
+// Session scoring shared by the analysis script (scripts/analyze-reviews.mjs)
+// and the dashboard, so both derive attention scores and statuses the same way.
+
+export const THEMES = ["content", "presenter", "utility", "technical"];
+
+export const SENTIMENT_THRESHOLD = 0.2;
+
+// Rules behind attention_score and status. The defaults are what the analysis script
+// ships with; the dashboard's Settings view lets analysts override them.
+export const DEFAULT_RULES = {
+  // Relative weights of each 0–1 attention signal; they are normalized to sum to 1.
+  weights: {
+    negativeShare: 0.35,
+    sentiment: 0.5,
+    rating: 0,
+    technical: 0.15,
+    volume: 0,
+  },
+  status: {
+    // A session is concerning when its average sentiment is below this...
+    sentimentBelow: 0.15,
+    // ...or at least this share of its scored reviews is negative.
+    negativeShareAtLeast: 0.3,
+    // Concerning sessions with fewer scored reviews than this are "mixed", not "problematic":
+    // a worrying signal from two or three reviews is not enough to act on.
+    minReviewsForProblematic: 5,
+  },
+  // Attention score bands for the red/amber/green bars in the sessions table.
+  bands: {
+    high: 70,
+    medium: 40,
+  },
+};
+
+const STATUS_RANK = { problematic: 0, mixed: 1, successful: 2 };
+const TOP_INSIGHTS = 5;
+
+// Adjusted averages blend each session with this many reviews' worth of the corpus-wide
+// average, so three reviews barely move a session while thirty mostly speak for themselves.
+export const PRIOR_WEIGHT = 5;
+// 95% intervals.
+const Z_SCORE = 1.96;
+
+const round = (value, digits) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Reviews in languages the sentiment model does not cover carry a null score.
+export const UNSCORED_LABEL = "unscored";
+
+export function labelSentiment(score) {
+  if (score == null) return UNSCORED_LABEL;
+  if (score >= SENTIMENT_THRESHOLD) return "positive";
+  if (score <= -SENTIMENT_THRESHOLD) return "negative";
+  return "neutral";
+}
+
+/**
+ * Moves a score just far enough to land in `label`'s band, for manual relabels:
+ * a -0.35 review relabelled positive becomes +0.2, one already inside the band is kept.
+ */
+export function alignSentimentToLabel(score, label) {
+  const known = Number.isFinite(score);
+  if (label === "positive") return known && score >= SENTIMENT_THRESHOLD ? score : SENTIMENT_THRESHOLD;
+  if (label === "negative") return known && score <= -SENTIMENT_THRESHOLD ? score : -SENTIMENT_THRESHOLD;
+  if (label === "neutral") return known && Math.abs(score) < SENTIMENT_THRESHOLD ? score : 0;
+  return null;
+}
+
+function countTexts(lists) {
+  const counts = new Map();
+  for (const list of lists) {
+    for (const raw of list || []) {
+      const text = raw.replace(/\s+/g, " ").trim().toLowerCase();
+      if (text) counts.set(text, (counts.get(text) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .map(([text, count]) => ({ text, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, TOP_INSIGHTS);
+}
+
+/** Fills in anything missing from stored or imported rules with the defaults. */
+export function mergeRules(rules) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_RULES).map(([group, defaults]) => [group, { ...defaults, ...rules?.[group] }])
+  );
+}
+
+// Each signal is scaled to 0–1, where 1 means "needs the most attention".
+// Volume is log-scaled against the busiest session so one huge journey does not flatten the rest.
+function attentionSignals({ pct_negative, avg_sentiment, avg_rating, themes, n_reviews }, { maxReviews = 0 }) {
+  return {
+    negativeShare: pct_negative ?? 0,
+    sentiment: (1 - (avg_sentiment ?? 0)) / 2,
+    rating: avg_rating != null ? (5 - avg_rating) / 4 : 0,
+    technical: n_reviews ? (themes.technical || 0) / n_reviews : 0,
+    volume: maxReviews > 0 ? Math.log1p(n_reviews) / Math.log1p(maxReviews) : 0,
+  };
+}
+
+export function computeAttentionScore(summary, rules = DEFAULT_RULES, context = {}) {
+  const signals = attentionSignals(summary, context);
+  const weights = Object.entries(rules.weights).filter(([key, weight]) => key in signals && weight > 0);
+  const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+  if (!total) return 0;
+  const raw = weights.reduce((sum, [key, weight]) => sum + weight * signals[key], 0) / total;
+  return Math.round(Math.min(1, Math.max(0, raw)) * 100);
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Corpus-wide averages the per-session values are shrunk towards: the mean and spread of
+ * every rating and the share of scored reviews that are negative.
+ */
+export function corpusPrior(reviews) {
+  const ratings = reviews.map((r) => r.rating).filter(Number.isFinite);
+  const scored = reviews.filter((r) => Number.isFinite(r.sentiment));
+  const ratingMean = mean(ratings);
+  const variance =
+    ratings.length > 1 ? ratings.reduce((sum, r) => sum + (r - ratingMean) ** 2, 0) / (ratings.length - 1) : 0;
+  return {
+    rating: ratingMean,
+    ratingSpread: Math.sqrt(variance),
+    negativeShare: scored.length ? scored.filter((r) => r.sentiment_label === "negative").length / scored.length : null,
+  };
+}
+
+/**
+ * Bayesian averages of `avg_rating` and `pct_negative` with 95% intervals. Ratings use a
+ * normal prior at the corpus mean, the negative share a beta prior at the corpus share,
+ * each worth `PRIOR_WEIGHT` reviews; the interval narrows as the session's own reviews add up.
+ */
+function adjustForVolume({ ratings, negatives, n_scored }, prior) {
+  const adjusted = {
+    avg_rating_adjusted: null,
+    avg_rating_low: null,
+    avg_rating_high: null,
+    pct_negative_adjusted: null,
+    pct_negative_low: null,
+    pct_negative_high: null,
+  };
+  if (ratings.length && prior.rating != null) {
+    const n = ratings.length + PRIOR_WEIGHT;
+    const value = (ratings.reduce((sum, r) => sum + r, 0) + PRIOR_WEIGHT * prior.rating) / n;
+    const margin = (Z_SCORE * prior.ratingSpread) / Math.sqrt(n);
+    adjusted.avg_rating_adjusted = round(value, 2);
+    adjusted.avg_rating_low = round(clamp(value - margin, 1, 5), 2);
+    adjusted.avg_rating_high = round(clamp(value + margin, 1, 5), 2);
+  }
+  if (n_scored && prior.negativeShare != null) {
+    const n = n_scored + PRIOR_WEIGHT;
+    const value = (negatives + PRIOR_WEIGHT * prior.negativeShare) / n;
+    const margin = Z_SCORE * Math.sqrt((value * (1 - value)) / (n + 1));
+    adjusted.pct_negative_adjusted = round(value, 3);
+    adjusted.pct_negative_low = round(clamp(value - margin, 0, 1), 3);
+    adjusted.pct_negative_high = round(clamp(value + margin, 0, 1), 3);
+  }
+  return adjusted;
+}
+
+// Only scored reviews count as evidence; a session whose reviews are all unscored
+// has no sentiment signal and is not flagged.
+export function classifySession({ avg_sentiment, pct_negative, n_reviews, n_scored = n_reviews }, rules = DEFAULT_RULES) {
+  const { sentimentBelow, negativeShareAtLeast, minReviewsForProblematic } = rules.status;
+  const concerning = n_scored > 0 && (avg_sentiment < sentimentBelow || pct_negative >= negativeShareAtLeast);
+  if (!concerning) return "successful";
+  return n_scored >= minReviewsForProblematic ? "problematic" : "mixed";
+}
+
+/**
+ * Builds the `sessions_analysis.json` record for one session from its enriched reviews.
+ * `reviews` are kept in the order given (callers pass them latest first).
+ * `context.maxReviews` (the largest session's review count) feeds the volume signal and
+ * `context.prior` (see `corpusPrior`) the adjusted averages; without it the session is its own prior.
+ * `low_confidence` marks sessions with too few scored reviews to rank on.
+ */
+export function summarizeSession(base, reviews, rules = DEFAULT_RULES, context = {}) {
+  const sentiments = reviews.map((r) => r.sentiment).filter(Number.isFinite);
+  const ratings = reviews.map((r) => r.rating).filter(Number.isFinite);
+  const themes = Object.fromEntries(THEMES.map((theme) => [theme, 0]));
+  const languages = {};
+  for (const review of reviews) {
+    for (const theme of review.themes || []) {
+      if (theme in themes) themes[theme] += 1;
+    }
+    if (review.language) languages[review.language] = (languages[review.language] || 0) + 1;
+  }
+  const n_reviews = reviews.length;
+  const n_scored = sentiments.length;
+  const negatives = reviews.filter((r) => r.sentiment_label === "negative").length;
+  const summary = {
+    session_id: base.session_id,
+    session_title: base.session_title ?? null,
+    presenter: base.presenter ?? null,
+    presenter_id: base.presenter_id ?? null,
+    presenter_role: base.presenter_role ?? null,
+    n_reviews,
+    n_scored,
+    avg_sentiment: n_scored ? round(mean(sentiments), 3) : null,
+    pct_negative: n_scored ? round(negatives / n_scored, 3) : null,
+    avg_rating: ratings.length ? round(mean(ratings), 2) : null,
+    themes,
+    languages,
+    top_pain_points: countTexts(reviews.map((r) => r.pain_points)),
+    top_feature_requests: countTexts(reviews.map((r) => r.feature_requests)),
+  };
+  Object.assign(summary, adjustForVolume({ ratings, negatives, n_scored }, context.prior ?? corpusPrior(reviews)));
+  summary.low_confidence = n_scored < rules.status.minReviewsForProblematic;
+  summary.attention_score = computeAttentionScore(summary, rules, context);
+  summary.status = classifySession(summary, rules);
+  summary.reviews = reviews;
+  return summary;
+}
+
+// Problematic first, then mixed, then successful; highest attention first within a status.
+export function compareSessionPriority(a, b) {
+  const rank = (STATUS_RANK[a.status] ?? 3) - (STATUS_RANK[b.status] ?? 3);
+  return rank || b.attention_score - a.attention_score;
+}
+
+/** Recomputes every session from its reviews under `rules` and re-ranks them. */
+export function rescoreSessions(sessions, rules = DEFAULT_RULES) {
+  const context = {
+    maxReviews: Math.max(0, ...sessions.map((s) => s.reviews?.length ?? 0)),
+    prior: corpusPrior(sessions.flatMap((s) => s.reviews || [])),
+  };
+  return sessions
+    .map((session) => ({ ...session, ...summarizeSession(session, session.reviews || [], rules, context) }))
+    .sort(compareSessionPriority);
+}
@@ -0,0 +1,183 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  classifySession,
+  computeAttentionScore,
+  corpusPrior,
+  DEFAULT_RULES,
+  labelSentiment,
+  mergeRules,
+  rescoreSessions,
+  summarizeSession,
+} from "./scoring.js";
+
+const review = (overrides) => ({
+  rating: 4,
+  sentiment: 0.5,
+  sentiment_label: "positive",
+  themes: [],
+  pain_points: [],
+  feature_requests: [],
+  ...overrides,
+});
+
+test("labels sentiment at the ±0.2 threshold and leaves missing scores unscored", () => {
+  assert.equal(labelSentiment(0.2), "positive");
+  assert.equal(labelSentiment(0.19), "neutral");
+  assert.equal(labelSentiment(-0.19), "neutral");
+  assert.equal(labelSentiment(-0.2), "negative");
+  assert.equal(labelSentiment(null), "unscored");
+});
+
+test("summarizes a session's reviews into averages, counts and shares", () => {
+  const summary = summarizeSession({ session_id: "s1", session_title: "Keynote" }, [
+    review({ rating: 5, sentiment: 0.8, themes: ["content"], language: "en" }),
+    review({
+      rating: 2,
+      sentiment: -0.6,
+      sentiment_label: "negative",
+      themes: ["technical", "content"],
+      language: "en",
+    }),
+    review({ rating: 3, sentiment: null, sentiment_label: "unscored", language: "ja" }),
+  ]);
+  assert.equal(summary.session_id, "s1");
+  assert.equal(summary.session_title, "Keynote");
+  assert.equal(summary.presenter, null);
+  assert.equal(summary.n_reviews, 3);
+  assert.equal(summary.n_scored, 2);
+  assert.equal(summary.avg_sentiment, 0.1);
+  assert.equal(summary.pct_negative, 0.5);
+  assert.equal(summary.avg_rating, 3.33);
+  assert.deepEqual(summary.themes, { content: 2, presenter: 0, utility: 0, technical: 1 });
+  assert.deepEqual(summary.languages, { en: 2, ja: 1 });
+  assert.equal(summary.reviews.length, 3);
+});
+
+test("counts repeated pain points case- and whitespace-insensitively", () => {
+  const summary = summarizeSession({ session_id: "s1" }, [
+    review({ pain_points: ["Audio  was poor", "Too long"] }),
+    review({ pain_points: ["audio was poor"] }),
+  ]);
+  assert.deepEqual(summary.top_pain_points, [
+    { text: "audio was poor", count: 2 },
+    { text: "too long", count: 1 },
+  ]);
+  assert.deepEqual(summary.top_feature_requests, []);
+});
+
+test("leaves averages empty for a session without scored reviews", () => {
+  const summary = summarizeSession({ session_id: "s1" }, [review({ sentiment: null, sentiment_label: "unscored" })]);
+  assert.equal(summary.n_scored, 0);
+  assert.equal(summary.avg_sentiment, null);
+  assert.equal(summary.pct_negative, null);
+  assert.equal(summary.status, "successful");
+});
+
+test("fills rules missing from stored settings with the defaults", () => {
+  const rules = mergeRules({ weights: { sentiment: 1 }, bands: { high: 80 } });
+  assert.equal(rules.weights.sentiment, 1);
+  assert.equal(rules.weights.negativeShare, DEFAULT_RULES.weights.negativeShare);
+  assert.deepEqual(rules.status, DEFAULT_RULES.status);
+  assert.deepEqual(rules.bands, { high: 80, medium: DEFAULT_RULES.bands.medium });
+  assert.deepEqual(mergeRules(undefined), DEFAULT_RULES);
+});
+
+test("normalizes the attention weights and ignores zero ones", () => {
+  const summary = { pct_negative: 0.5, avg_sentiment: -0.2, avg_rating: 2, themes: { technical: 0 }, n_reviews: 4 };
+  const only = (weights) => mergeRules({ weights: { negativeShare: 0, sentiment: 0, technical: 0, ...weights } });
+  assert.equal(computeAttentionScore(summary, only({ sentiment: 3 })), 60);
+  assert.equal(computeAttentionScore(summary, only({ rating: 1 })), 75);
+  assert.equal(computeAttentionScore(summary, only({ sentiment: 1, rating: 1 })), 68);
+  assert.equal(computeAttentionScore(summary, only({})), 0);
+});
+
+test("classifies sessions by the status cutoffs and the minimum review count", () => {
+  const rules = mergeRules({ status: { sentimentBelow: 0, negativeShareAtLeast: 0.5, minReviewsForProblematic: 3 } });
+  assert.equal(classifySession({ avg_sentiment: 0.1, pct_negative: 0.4, n_reviews: 10 }, rules), "successful");
+  assert.equal(classifySession({ avg_sentiment: -0.1, pct_negative: 0.1, n_reviews: 10 }, rules), "problematic");
+  assert.equal(classifySession({ avg_sentiment: 0.1, pct_negative: 0.5, n_reviews: 2 }, rules), "mixed");
+  assert.equal(
+    classifySession({ avg_sentiment: null, pct_negative: null, n_reviews: 4, n_scored: 0 }, rules),
+    "successful"
+  );
+});
+
+test("rescores and re-ranks sessions under custom rules", () => {
+  const sessions = [
+    { session_id: "calm", reviews: [review({ rating: 2, sentiment: 0.6 }), review({ rating: 2, sentiment: 0.6 })] },
+    {
+      session_id: "upset",
+      reviews: [
+        review({ rating: 5, sentiment: -0.6, sentiment_label: "negative" }),
+        review({ rating: 5, sentiment: 0.6 }),
+      ],
+    },
+  ];
+  const bySentiment = rescoreSessions(sessions);
+  assert.deepEqual(
+    bySentiment.map((s) => [s.session_id, s.status]),
+    [
+      ["upset", "mixed"],
+      ["calm", "successful"],
+    ]
+  );
+  const ratingOnly = mergeRules({
+    weights: { negativeShare: 0, sentiment: 0, technical: 0, rating: 1 },
+    status: { sentimentBelow: -1, negativeShareAtLeast: 1 },
+  });
+  const byRating = rescoreSessions(sessions, ratingOnly);
+  assert.deepEqual(
+    byRating.map((s) => [s.session_id, s.attention_score, s.status]),
+    [
+      ["calm", 75, "successful"],
+      ["upset", 0, "successful"],
+    ]
+  );
+});
+
+test("takes the corpus prior from every rating and every scored review", () => {
+  const prior = corpusPrior([
+    review({ rating: 5 }),
+    review({ rating: 1, sentiment: -0.5, sentiment_label: "negative" }),
+    review({ rating: 3, sentiment: 0 }),
+    review({ rating: null, sentiment: null, sentiment_label: "unscored" }),
+  ]);
+  assert.deepEqual(prior, { rating: 3, ratingSpread: 2, negativeShare: 1 / 3 });
+});
+
+test("shrinks a small session towards the prior and marks it low confidence", () => {
+  const prior = { rating: 3, ratingSpread: 2, negativeShare: 0.2 };
+  const negative = review({ rating: 5, sentiment: -0.5, sentiment_label: "negative" });
+  const summary = summarizeSession({ session_id: "s1" }, [negative, negative, negative], DEFAULT_RULES, { prior });
+  assert.equal(summary.avg_rating, 5);
+  assert.equal(summary.avg_rating_adjusted, 3.75);
+  assert.equal(summary.avg_rating_low, 2.36);
+  assert.equal(summary.avg_rating_high, 5);
+  assert.equal(summary.pct_negative, 1);
+  assert.equal(summary.pct_negative_adjusted, 0.5);
+  assert.equal(summary.pct_negative_low, 0.173);
+  assert.equal(summary.pct_negative_high, 0.827);
+  assert.equal(summary.low_confidence, true);
+  assert.equal(summary.status, "mixed");
+});
+
+test("lets a large session mostly speak for itself", () => {
+  const prior = { rating: 3, ratingSpread: 2, negativeShare: 0.2 };
+  const reviews = Array.from({ length: 45 }, () => review({ rating: 5, sentiment: -0.5, sentiment_label: "negative" }));
+  const summary = summarizeSession({ session_id: "s1" }, reviews, DEFAULT_RULES, { prior });
+  assert.equal(summary.avg_rating_adjusted, 4.8);
+  assert.equal(summary.pct_negative_adjusted, 0.92);
+  assert.ok(summary.pct_negative_high - summary.pct_negative_low < 0.16);
+  assert.equal(summary.low_confidence, false);
+  assert.equal(summary.status, "problematic");
+});
+
+test("leaves the adjusted values empty without ratings or scored reviews", () => {
+  const summary = summarizeSession({ session_id: "s1" }, [review({ rating: null, sentiment: null })], DEFAULT_RULES, {
+    prior: { rating: 3, ratingSpread: 1, negativeShare: 0.2 },
+  });
+  assert.equal(summary.avg_rating_adjusted, null);
+  assert.equal(summary.pct_negative_low, null);
+  assert.equal(summary.low_confidence, true);
+});